@@ -4,7 +4,17 @@ import { auth } from './firebase';
 import Login from './pages/Login';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
+import PostPage from './pages/PostPage';
+import TagFeed from './pages/TagFeed';
+import Search from './pages/Search';
+import Messages from './pages/Messages';
+import Saved from './pages/Saved';
+import Moderation from './pages/Moderation';
 import Navbar from './components/Navbar';
+import SocketProvider from './realtime/SocketProvider';
+import OutboxSync from './outbox/OutboxSync';
+import { RequireAuth, RequireRole, GuestOnly } from './routes/guards';
+import { ROLES } from './utils/permissions';
 
 function App() {
   const [user, setUser] = useState(null);
@@ -27,32 +37,39 @@ function App() {
   }
 
   return (
-    <Router>
-      <Navbar user={user} />
-      <Routes>
-        {/* Public Route */}
-        <Route
-          path="/login"
-          element={user ? <Navigate to="/dashboard" /> : <Login />}
-        />
-
-        {/* Protected Routes */}
-        <Route
-          path="/dashboard"
-          element={user ? <Dashboard /> : <Navigate to="/login" />}
-        />
-        <Route
-          path="/profile"
-          element={user ? <Profile /> : <Navigate to="/login" />}
-        />
-
-        {/* Default redirect */}
-        <Route
-          path="*"
-          element={<Navigate to={user ? "/dashboard" : "/login"} />}
-        />
-      </Routes>
-    </Router>
+    <SocketProvider user={user}>
+      {user && <OutboxSync userId={user.uid} />}
+      <Router>
+        <Navbar user={user} />
+        <Routes>
+          <Route element={<GuestOnly user={user} />}>
+            <Route path="/login" element={<Login />} />
+          </Route>
+
+          <Route element={<RequireAuth user={user} />}>
+            <Route path="/dashboard" element={<Dashboard />} />
+            <Route path="/profile" element={<Profile />} />
+            <Route path="/users/:uid" element={<Profile />} />
+            <Route path="/posts/:id" element={<PostPage />} />
+            <Route path="/tags/:tag" element={<TagFeed />} />
+            <Route path="/search" element={<Search />} />
+            <Route path="/saved" element={<Saved />} />
+            <Route path="/messages" element={<Messages />} />
+            <Route path="/messages/:conversationId" element={<Messages />} />
+
+            <Route element={<RequireRole role={ROLES.MODERATOR} />}>
+              <Route path="/admin/moderation" element={<Moderation />} />
+            </Route>
+          </Route>
+
+          {/* Default redirect */}
+          <Route
+            path="*"
+            element={<Navigate to={user ? "/dashboard" : "/login"} />}
+          />
+        </Routes>
+      </Router>
+    </SocketProvider>
   );
 }
 
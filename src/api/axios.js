@@ -1,18 +1,47 @@
 import axios from "axios";
+import { getIdToken, refreshIdToken } from "../session";
+
+export const API_URL = import.meta.env.VITE_API_URL || "https://demo-server-0dwf.onrender.com";
 
 const instance = axios.create({
-  baseURL: `${import.meta.env.VITE_API_URL}/api` || "https://demo-server-0dwf.onrender.com/api",
+  baseURL: `${API_URL}/api`,
   headers: {
     "Content-Type": "application/json",
   },
 });
 
-export const setAuthToken = (token) => {
+// Attach a fresh ID token to every request
+instance.interceptors.request.use(async (config) => {
+  const token = await getIdToken();
   if (token) {
-    instance.defaults.headers.common["Authorization"] = `Bearer ${token}`;
-  } else {
-    delete instance.defaults.headers.common["Authorization"];
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// On a 401, force a token refresh and retry the request once
+instance.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const config = error.config;
+
+    if (error.response?.status !== 401 || !config || config._retried) {
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+
+    try {
+      const token = await refreshIdToken();
+      if (!token) return Promise.reject(error);
+
+      config.headers.Authorization = `Bearer ${token}`;
+      return instance(config);
+    } catch (refreshError) {
+      console.error("Token refresh failed:", refreshError);
+      return Promise.reject(error);
+    }
   }
-};
+);
 
 export default instance;
@@ -0,0 +1,25 @@
+import axios from "./axios";
+
+// Bookmark: { postId, savedAt, post }, `post` being null once it was deleted
+
+// Ids of every post the signed-in user has saved
+export const fetchSavedPostIds = async () => {
+  const res = await axios.get("/bookmarks/ids", { timeout: 10000 });
+  return res.data.postIds || [];
+};
+
+// Newest-saved first; pass the oldest `savedAt` loaded so far as `before`
+// for the next page
+export const fetchBookmarks = async ({ before, limit = 10 } = {}) => {
+  const res = await axios.get("/bookmarks", {
+    params: { limit, ...(before ? { before } : {}) },
+    timeout: 15000,
+  });
+  return res.data.bookmarks || [];
+};
+
+export const savePost = (postId) =>
+  axios.put(`/bookmarks/${encodeURIComponent(postId)}`, null, { timeout: 10000 });
+
+export const unsavePost = (postId) =>
+  axios.delete(`/bookmarks/${encodeURIComponent(postId)}`, { timeout: 10000 });
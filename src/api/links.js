@@ -0,0 +1,29 @@
+import axios from "./axios";
+
+// Unfurled link metadata, cached for the session so every card showing the
+// same URL shares one request. Links the server couldn't unfurl are cached as
+// null; network failures reject and aren't cached, so they can be retried.
+const MAX_CACHED = 200;
+const cache = new Map();
+
+// Resolves with { url, title, description, image, siteName } or null, rejects
+// if the server couldn't be reached
+export const fetchLinkPreview = (url) => {
+  if (cache.has(url)) return cache.get(url);
+
+  const request = axios
+    .get("/unfurl", { params: { url }, timeout: 10000 })
+    .then((res) => res.data.preview || null)
+    .catch((err) => {
+      console.warn("Link preview unavailable:", url, err.message);
+      if (err.response) return null;
+      // A network blip; let the next call try again
+      cache.delete(url);
+      throw err;
+    });
+
+  // Oldest entry out first; Maps keep insertion order
+  if (cache.size >= MAX_CACHED) cache.delete(cache.keys().next().value);
+  cache.set(url, request);
+  return request;
+};
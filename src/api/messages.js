@@ -0,0 +1,53 @@
+import axios from "./axios";
+
+const PAGE_SIZE = 30;
+
+// Conversation: { _id, participant: { uid, displayName, avatar, lastReadAt },
+//                 lastMessage, unreadCount, updatedAt }
+// Message: { _id, conversationId, senderUid, text, clientId, createdAt }
+
+// Most recently active first
+export const fetchConversations = async () => {
+  const res = await axios.get("/conversations", { timeout: 10000 });
+  return res.data.conversations || [];
+};
+
+// Returns the existing 1:1 conversation with `uid` if there is one
+export const startConversation = async (uid) => {
+  const res = await axios.post("/conversations", { participantUid: uid }, { timeout: 10000 });
+  return res.data.conversation;
+};
+
+// Newest page first; pass the oldest `createdAt` loaded so far as `before`.
+// Resolves with { messages, hasMore }, messages oldest first.
+export const fetchMessages = async (conversationId, { before } = {}) => {
+  const res = await axios.get(`/conversations/${encodeURIComponent(conversationId)}/messages`, {
+    params: { limit: PAGE_SIZE, ...(before ? { before } : {}) },
+    timeout: 10000,
+  });
+  const messages = res.data.messages || [];
+  return { messages, hasMore: messages.length >= PAGE_SIZE };
+};
+
+// `clientId` lets the optimistic copy be matched with the server's echo
+export const sendMessage = async (conversationId, { text, clientId }) => {
+  const res = await axios.post(
+    `/conversations/${encodeURIComponent(conversationId)}/messages`,
+    { text, clientId },
+    { timeout: 10000 }
+  );
+  return res.data.message;
+};
+
+// Both resolve with { unreadCount }, the total across all conversations
+export const markConversationRead = async (conversationId) => {
+  const res = await axios.post(`/conversations/${encodeURIComponent(conversationId)}/read`, null, {
+    timeout: 10000,
+  });
+  return { unreadCount: res.data.unreadCount ?? 0 };
+};
+
+export const fetchUnreadMessageCount = async () => {
+  const res = await axios.get("/conversations/unread-count", { timeout: 10000 });
+  return { unreadCount: res.data.unreadCount ?? 0 };
+};
@@ -0,0 +1,51 @@
+import axios from "./axios";
+
+export const REPORT_REASONS = [
+  { id: "spam", label: "Spam" },
+  { id: "harassment", label: "Harassment or bullying" },
+  { id: "hate", label: "Hate speech" },
+  { id: "violence", label: "Violence or threats" },
+  { id: "nudity", label: "Nudity or sexual content" },
+  { id: "misinformation", label: "False information" },
+  { id: "other", label: "Something else" },
+];
+
+export const MODERATION_ACTIONS = Object.freeze({
+  DISMISS: "dismiss",
+  HIDE: "hide",
+  DELETE: "delete",
+});
+
+// Report: { _id, post, reportCount, reasons: { [reason]: count },
+//           reports: [{ reason, note, reporter: { uid, name }, createdAt }], lastReportedAt }
+//   One entry per reported post; `post` is what the reporters saw.
+
+export const reportPost = async (postId, { reason, note }) => {
+  const res = await axios.post(
+    `/posts/${encodeURIComponent(postId)}/reports`,
+    { reason, note: note || undefined },
+    { timeout: 10000 }
+  );
+  return res.data;
+};
+
+// Open reports, most recently reported first; pass the oldest `lastReportedAt`
+// loaded so far as `before` for the next page. Resolving reports shrinks the
+// queue, so page numbers would skip some.
+export const fetchReports = async ({ before, limit = 10 } = {}) => {
+  const res = await axios.get("/moderation/reports", {
+    params: { limit, ...(before ? { before } : {}) },
+    timeout: 15000,
+  });
+  return res.data.reports || [];
+};
+
+// `action` is one of MODERATION_ACTIONS; `note` is kept in the audit log
+export const resolveReport = async (reportId, { action, note }) => {
+  const res = await axios.post(
+    `/moderation/reports/${encodeURIComponent(reportId)}/resolve`,
+    { action, note },
+    { timeout: 10000 }
+  );
+  return res.data;
+};
@@ -0,0 +1,31 @@
+import axios from "./axios";
+
+const PAGE_SIZE = 20;
+
+// Notification: { _id, type, actor: { uid, name, avatar }, postId, commentId, read, createdAt }
+//   type - "reaction" | "comment" | "reply" | "mention" | "follow"
+
+// Newest first; pass the oldest `createdAt` loaded so far as `before` for older ones.
+// Resolves with { notifications, unreadCount, hasMore }.
+export const fetchNotifications = async ({ before } = {}) => {
+  const res = await axios.get("/notifications", {
+    params: { limit: PAGE_SIZE, ...(before ? { before } : {}) },
+    timeout: 10000,
+  });
+  return {
+    notifications: res.data.notifications || [],
+    unreadCount: res.data.unreadCount ?? 0,
+    hasMore: (res.data.notifications || []).length >= PAGE_SIZE,
+  };
+};
+
+// Both resolve with { unreadCount }
+export const markNotificationRead = async (id) => {
+  const res = await axios.post(`/notifications/${encodeURIComponent(id)}/read`, null, { timeout: 10000 });
+  return { unreadCount: res.data.unreadCount };
+};
+
+export const markAllNotificationsRead = async () => {
+  const res = await axios.post("/notifications/read-all", null, { timeout: 10000 });
+  return { unreadCount: res.data.unreadCount ?? 0 };
+};
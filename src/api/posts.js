@@ -0,0 +1,156 @@
+import axios from "./axios";
+import { mediaTypeOf } from "../utils/media";
+import { compressImage } from "../utils/image";
+import { captureVideoFrame } from "../utils/video";
+import { extractTags } from "../utils/richText";
+import { getTaggableText } from "../utils/markdown";
+
+const CLOUD_NAME = import.meta.env.VITE_CLOUDINARY_CLOUD_NAME;
+const CLOUD_PRESET = import.meta.env.VITE_CLOUDINARY_UPLOAD_PRESET;
+
+// Network failures, timeouts, rate limits and server errors are worth retrying;
+// anything else (validation, permissions) will fail the same way again
+export const isRetryableError = (err) => {
+  const status = err?.response?.status ?? err?.status;
+  if (!status) return true;
+  return status >= 500 || status === 408 || status === 429;
+};
+
+export const isUploadCanceled = (err) => err?.name === "AbortError";
+
+const uploadToCloudinary = (body, resourceType, { onProgress, signal } = {}) => {
+  const formData = new FormData();
+  formData.append("file", body);
+  formData.append("upload_preset", CLOUD_PRESET);
+
+  // XHR rather than fetch: fetch has no upload progress events
+  return new Promise((resolve, reject) => {
+    const abortError = () => {
+      const error = new Error("Upload canceled");
+      error.name = "AbortError";
+      return error;
+    };
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const onAbort = () => xhr.abort();
+    const cleanup = () => signal?.removeEventListener("abort", onAbort);
+
+    xhr.open("POST", `https://api.cloudinary.com/v1_1/${CLOUD_NAME}/${resourceType}/upload`);
+    xhr.responseType = "json";
+
+    xhr.upload.onprogress = (e) => {
+      if (onProgress && e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+
+    xhr.onload = () => {
+      cleanup();
+      const data = xhr.response || {};
+
+      if (xhr.status < 200 || xhr.status >= 300) {
+        const error = new Error(data.error?.message || "Upload failed");
+        error.status = xhr.status;
+        reject(error);
+        return;
+      }
+
+      onProgress?.(1);
+      resolve(data.secure_url);
+    };
+
+    // No status, so these count as retryable network failures
+    xhr.onerror = () => {
+      cleanup();
+      reject(new Error("Network error during upload"));
+    };
+    xhr.ontimeout = () => {
+      cleanup();
+      reject(new Error("Upload timed out"));
+    };
+    xhr.onabort = () => {
+      cleanup();
+      reject(abortError());
+    };
+
+    signal?.addEventListener("abort", onAbort);
+    xhr.send(formData);
+  });
+};
+
+// Uploads an image or video to Cloudinary. Images are resized and stripped of
+// metadata first; videos get a poster frame captured at `posterTime` (seconds)
+// and uploaded alongside. `onProgress` gets the uploaded fraction (0-1);
+// aborting `signal` cancels the upload with an AbortError.
+export const uploadMedia = async (file, { onProgress, signal, posterTime } = {}) => {
+  const type = mediaTypeOf(file);
+
+  if (type === "image") {
+    const url = await uploadToCloudinary(await compressImage(file), "image", { onProgress, signal });
+    return { url, type };
+  }
+
+  let poster = null;
+  try {
+    poster = await captureVideoFrame(file, posterTime);
+  } catch (err) {
+    // Not worth failing the post over; the video just has no poster
+    console.warn("Couldn't capture poster frame:", err.message);
+  }
+
+  const posterUrl = poster
+    ? await uploadToCloudinary(await compressImage(poster), "image", { signal })
+    : null;
+  const url = await uploadToCloudinary(file, "video", { onProgress, signal });
+  return { url, type, poster: posterUrl };
+};
+
+// The idempotency key lets the server drop duplicates when a request is retried.
+// `media` is the ordered list of uploaded items; `mentions` are the
+// `{ uid, handle }` users picked from autocomplete. `linkPreviewUrl` is the
+// link to show a preview card for; `dismissedLinkUrl` is the link whose card
+// the author removed, so edits keep it removed.
+export const createPost = ({
+  userId,
+  content,
+  media = [],
+  mentions = [],
+  linkPreviewUrl = null,
+  dismissedLinkUrl = null,
+  idempotencyKey,
+}) => {
+  // Single-item posts keep filling the legacy fields
+  const single = media.length === 1 ? media[0] : null;
+
+  const postData = {
+    userId,
+    content,
+    // Only the tags the post links, not ones inside code
+    tags: extractTags(getTaggableText(content)),
+    mentions,
+    linkPreviewUrl,
+    dismissedLinkUrl,
+    media,
+    mediaType: media.length > 1 ? "gallery" : single ? single.type : "text",
+    imageUrl: single && single.type === "image" ? single.url : null,
+    videoUrl: single && single.type === "video" ? single.url : null,
+    posterUrl: single?.poster || null,
+  };
+
+  return axios.post("/posts", postData, {
+    headers: { "Idempotency-Key": idempotencyKey },
+    timeout: 15000,
+  });
+};
+
+// Posts whose text matches `query`, newest first
+export const searchPosts = async (query, { page = 1, limit = 10, signal } = {}) => {
+  const res = await axios.get("/posts/search", {
+    params: { q: query, page, limit },
+    signal,
+    timeout: 15000,
+  });
+  return res.data.posts || [];
+};
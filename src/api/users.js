@@ -0,0 +1,11 @@
+import axios from "./axios";
+
+// Users whose name or handle matches `query`, for mention autocomplete and search
+export const searchUsers = async (query, { page = 1, limit = 5, signal } = {}) => {
+  const res = await axios.get("/users/search", {
+    params: { q: query, page, limit },
+    signal,
+    timeout: 10000,
+  });
+  return res.data.users || [];
+};
@@ -0,0 +1,63 @@
+import { fetchSavedPostIds, savePost, unsavePost } from "../api/bookmarks";
+
+// Which posts the signed-in user has saved, shared by every PostCard so a
+// post shows the same state in every feed. Loaded once per user.
+
+let savedIds = new Set();
+let loadedFor = null;
+let loadPromise = null;
+const listeners = new Set();
+
+// Listeners get { postId, saved, post } when a single post changes (`post`
+// when the caller had it), nothing on a reload
+const notify = (change) => listeners.forEach((listener) => listener(change));
+
+export const subscribeBookmarks = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const isPostSaved = (postId) => savedIds.has(postId);
+
+export const loadBookmarks = (userId) => {
+  if (!userId || loadedFor === userId) return loadPromise || Promise.resolve();
+
+  loadedFor = userId;
+  savedIds = new Set();
+  notify();
+
+  loadPromise = fetchSavedPostIds()
+    .then((ids) => {
+      // Signed out or switched user meanwhile
+      if (loadedFor !== userId) return;
+      ids.forEach((id) => savedIds.add(id));
+      notify();
+    })
+    .catch((err) => {
+      console.error("Error fetching saved posts:", err);
+      // Let the next card try again
+      if (loadedFor === userId) loadedFor = null;
+    })
+    .finally(() => {
+      loadPromise = null;
+    });
+  return loadPromise;
+};
+
+// Optimistic; reverts and rethrows if the server refuses. Passing the post
+// lets an open saved list show it straight away.
+export const setPostSaved = async (postId, saved, post = null) => {
+  const apply = (value) => {
+    if (value) savedIds.add(postId);
+    else savedIds.delete(postId);
+    notify({ postId, saved: value, post });
+  };
+
+  apply(saved);
+  try {
+    await (saved ? savePost(postId) : unsavePost(postId));
+  } catch (err) {
+    apply(!saved);
+    throw err;
+  }
+};
@@ -0,0 +1,212 @@
+import React, { useState, useRef, useEffect, useLayoutEffect } from "react";
+import { Link } from "react-router-dom";
+import { ArrowLeft, Send, Loader2, AlertCircle, RefreshCw } from "lucide-react";
+import useChat from "../hooks/useChat";
+import { auth } from "../firebase";
+
+const MAX_MESSAGE_LENGTH = 2000;
+// How close to the bottom still counts as "following along" for auto-scroll
+const STICK_TO_BOTTOM_PX = 120;
+
+const avatarFor = (user) =>
+  user?.avatar ||
+  `https://ui-avatars.com/api/?name=${encodeURIComponent(user?.displayName || "User")}&background=3b82f6&color=fff`;
+
+const formatTime = (dateString) =>
+  new Date(dateString).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+
+export default function ChatView({ conversation, onRead }) {
+  const uid = auth.currentUser?.uid;
+  const { participant } = conversation;
+  const {
+    messages,
+    hasMore,
+    loading,
+    loadingOlder,
+    error,
+    otherTyping,
+    loadOlder,
+    send,
+    retry,
+    notifyTyping,
+    stopTyping,
+  } = useChat(conversation._id, { onRead });
+
+  const [text, setText] = useState("");
+  const scrollRef = useRef(null);
+  const topRef = useRef(null);
+  const nearBottomRef = useRef(true);
+  const renderedRef = useRef({ firstId: null, lastId: null, scrollHeight: 0 });
+
+  // Keep the view pinned: new messages scroll to the bottom if the user was
+  // already there (or sent them), older ones keep what's on screen in place
+  useLayoutEffect(() => {
+    const container = scrollRef.current;
+    if (!container) return;
+
+    const previous = renderedRef.current;
+    const first = messages[0];
+    const last = messages[messages.length - 1];
+
+    if (previous.lastId === last?._id && previous.firstId !== first?._id && previous.firstId) {
+      container.scrollTop += container.scrollHeight - previous.scrollHeight;
+    } else if (previous.lastId !== last?._id && (nearBottomRef.current || last?.senderUid === uid)) {
+      container.scrollTop = container.scrollHeight;
+    }
+
+    renderedRef.current = { firstId: first?._id, lastId: last?._id, scrollHeight: container.scrollHeight };
+  }, [messages, uid]);
+
+  const handleScroll = () => {
+    const container = scrollRef.current;
+    nearBottomRef.current =
+      container.scrollHeight - container.scrollTop - container.clientHeight < STICK_TO_BOTTOM_PX;
+  };
+
+  // Older history loads when the top of the list scrolls into view
+  useEffect(() => {
+    if (loading || loadingOlder || !hasMore || !topRef.current) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadOlder();
+      },
+      { root: scrollRef.current, threshold: 0.5, rootMargin: "200px" }
+    );
+    observer.observe(topRef.current);
+
+    return () => observer.disconnect();
+  }, [loading, loadingOlder, hasMore, loadOlder]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const trimmed = text.trim();
+    if (!trimmed) return;
+
+    send(trimmed);
+    setText("");
+  };
+
+  // "Seen" goes under the last of our messages the other person has read
+  const otherReadAt = participant?.lastReadAt ? new Date(participant.lastReadAt) : null;
+  const lastSeenId = otherReadAt
+    ? [...messages]
+        .reverse()
+        .find((m) => m.senderUid === uid && !m.status && new Date(m.createdAt) <= otherReadAt)?._id
+    : null;
+
+  return (
+    <section className="flex flex-col h-full min-h-0" aria-label={`Conversation with ${participant?.displayName || "User"}`}>
+      <header className="flex items-center gap-3 px-4 py-3 border-b border-gray-100">
+        <Link
+          to="/messages"
+          className="md:hidden p-1.5 -ml-1.5 rounded-full text-gray-600 hover:bg-gray-100 transition-colors"
+          aria-label="Back to conversations"
+        >
+          <ArrowLeft size={20} />
+        </Link>
+        <Link
+          to={`/users/${encodeURIComponent(participant?.uid)}`}
+          className="flex items-center gap-3 min-w-0 hover:opacity-80 transition-opacity"
+        >
+          <img src={avatarFor(participant)} alt="" className="w-9 h-9 rounded-full object-cover" />
+          <span className="min-w-0">
+            <span className="block font-semibold text-gray-900 truncate">{participant?.displayName || "User"}</span>
+            {otherTyping && <span className="block text-xs text-blue-600">typing...</span>}
+          </span>
+        </Link>
+      </header>
+
+      <div
+        ref={scrollRef}
+        onScroll={handleScroll}
+        className="flex-1 min-h-0 overflow-y-auto px-4 py-3 space-y-1"
+        role="log"
+        aria-live="polite"
+      >
+        {hasMore && (
+          <div ref={topRef} className="flex justify-center py-2">
+            {loadingOlder && <Loader2 className="w-5 h-5 animate-spin text-blue-600" aria-label="Loading older messages" />}
+          </div>
+        )}
+
+        {loading && (
+          <div className="flex justify-center py-10">
+            <Loader2 className="w-6 h-6 animate-spin text-blue-600" aria-label="Loading messages" />
+          </div>
+        )}
+
+        {error && messages.length === 0 && !loading && (
+          <p className="text-red-600 text-sm text-center py-8 flex items-center justify-center gap-2">
+            <AlertCircle size={16} />
+            {error}
+          </p>
+        )}
+
+        {!loading && !error && messages.length === 0 && (
+          <p className="text-gray-400 text-sm text-center py-10">
+            Say hello to {participant?.displayName || "them"}
+          </p>
+        )}
+
+        {messages.map((message) => {
+          const isOwn = message.senderUid === uid;
+
+          return (
+            <div key={message._id} className={`flex flex-col ${isOwn ? "items-end" : "items-start"}`}>
+              <div
+                className={`max-w-[75%] px-3.5 py-2 rounded-2xl text-sm whitespace-pre-line break-words ${
+                  isOwn ? "bg-blue-600 text-white rounded-br-md" : "bg-gray-100 text-gray-900 rounded-bl-md"
+                } ${message.status === "sending" ? "opacity-60" : ""}`}
+                title={formatTime(message.createdAt)}
+              >
+                {message.text}
+              </div>
+
+              {message.status === "failed" && (
+                <button
+                  onClick={() => retry(message)}
+                  className="flex items-center gap-1 text-xs text-red-600 hover:underline mt-0.5"
+                >
+                  <RefreshCw size={12} />
+                  Not sent. Tap to retry
+                </button>
+              )}
+
+              {message._id === lastSeenId && <span className="text-[11px] text-gray-400 mt-0.5">Seen</span>}
+            </div>
+          );
+        })}
+      </div>
+
+      <form onSubmit={handleSubmit} className="flex items-end gap-2 px-4 py-3 border-t border-gray-100">
+        <textarea
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            if (e.target.value) notifyTyping();
+            else stopTyping();
+          }}
+          onBlur={stopTyping}
+          onKeyDown={(e) => {
+            // Enter sends, Shift+Enter adds a line break
+            if (e.key === "Enter" && !e.shiftKey) handleSubmit(e);
+          }}
+          className="flex-1 border border-gray-200 rounded-xl px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+          rows={1}
+          maxLength={MAX_MESSAGE_LENGTH}
+          placeholder="Write a message..."
+          aria-label="Write a message"
+        />
+        <button
+          type="submit"
+          disabled={!text.trim()}
+          className="p-2 rounded-full text-blue-600 hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Send message"
+        >
+          <Send size={18} />
+        </button>
+      </form>
+    </section>
+  );
+}
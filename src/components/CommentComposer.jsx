@@ -0,0 +1,52 @@
+import React, { useState } from "react";
+import { Send, Loader2 } from "lucide-react";
+
+const MAX_COMMENT_LENGTH = 2000;
+
+export default function CommentComposer({ onSubmit, placeholder = "Write a comment...", autoFocus = false, onCancel }) {
+  const [content, setContent] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const trimmedContent = content.trim();
+    if (!trimmedContent || submitting) return;
+
+    setSubmitting(true);
+    try {
+      const ok = await onSubmit(trimmedContent);
+      if (ok) setContent("");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex items-end gap-2">
+      <textarea
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        onKeyDown={(e) => {
+          // Enter submits, Shift+Enter adds a line break
+          if (e.key === "Enter" && !e.shiftKey) handleSubmit(e);
+          if (e.key === "Escape" && onCancel) onCancel();
+        }}
+        className="flex-1 border border-gray-200 rounded-xl px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+        rows={1}
+        maxLength={MAX_COMMENT_LENGTH}
+        placeholder={placeholder}
+        autoFocus={autoFocus}
+        disabled={submitting}
+        aria-label={placeholder}
+      />
+      <button
+        type="submit"
+        disabled={submitting || !content.trim()}
+        className="p-2 rounded-full text-blue-600 hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        aria-label="Send comment"
+      >
+        {submitting ? <Loader2 size={18} className="animate-spin" /> : <Send size={18} />}
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,169 @@
+import React, { useState } from "react";
+import { Edit2, Trash2, CornerDownRight } from "lucide-react";
+import { auth } from "../firebase";
+import { isAuthor } from "../utils/permissions";
+import { timeAgo } from "../utils/time";
+import CommentComposer from "./CommentComposer";
+
+const DEFAULT_AVATAR = "https://ui-avatars.com/api/?name=User&background=3b82f6&color=fff";
+
+export default function CommentItem({ comment, onEdit, onDelete, onReply, isReply = false }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState(comment.content || "");
+  const [isSaving, setIsSaving] = useState(false);
+  const [isReplying, setIsReplying] = useState(false);
+  const [avatarError, setAvatarError] = useState(false);
+
+  const isOwner = isAuthor(comment, auth.currentUser);
+
+  const avatarUrl = avatarError || !comment.user?.avatar ? DEFAULT_AVATAR : comment.user.avatar;
+
+  const handleSave = async () => {
+    const trimmedContent = editContent.trim();
+    if (!trimmedContent || trimmedContent === comment.content) {
+      setIsEditing(false);
+      setEditContent(comment.content || "");
+      return;
+    }
+
+    setIsSaving(true);
+    const ok = await onEdit(comment, trimmedContent);
+    setIsSaving(false);
+    if (ok) setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm("Delete this comment?")) return;
+    onDelete(comment);
+  };
+
+  const handleReply = async (content) => {
+    const ok = await onReply(comment, content);
+    if (ok) setIsReplying(false);
+    return ok;
+  };
+
+  return (
+    <div className={isReply ? "ml-10 mt-3" : "mt-4"}>
+      <div className="flex items-start gap-2">
+        <img
+          src={avatarUrl}
+          alt={`${comment.user?.name || "User"}'s avatar`}
+          onError={() => setAvatarError(true)}
+          className="w-8 h-8 rounded-full border border-gray-200 object-cover flex-shrink-0"
+          loading="lazy"
+        />
+        <div className="flex-1 min-w-0">
+          <div className="bg-gray-50 rounded-2xl px-3 py-2">
+            <div className="flex items-center gap-2">
+              <span className="font-semibold text-gray-900 text-xs">
+                {comment.user?.name || "Unknown User"}
+              </span>
+              <time className="text-[11px] text-gray-400" dateTime={comment.createdAt}>
+                {timeAgo(comment.createdAt)}
+              </time>
+            </div>
+
+            {isEditing ? (
+              <div className="mt-1 space-y-2">
+                <textarea
+                  value={editContent}
+                  onChange={(e) => setEditContent(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === "Escape") {
+                      setIsEditing(false);
+                      setEditContent(comment.content || "");
+                    }
+                  }}
+                  className="w-full border border-gray-300 rounded-lg p-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                  rows={2}
+                  maxLength={2000}
+                  autoFocus
+                  disabled={isSaving}
+                  aria-label="Edit comment"
+                />
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => {
+                      setIsEditing(false);
+                      setEditContent(comment.content || "");
+                    }}
+                    disabled={isSaving}
+                    className="px-3 py-1 text-xs bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    disabled={isSaving || !editContent.trim()}
+                    className="px-3 py-1 text-xs bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors disabled:opacity-50"
+                  >
+                    {isSaving ? "Saving..." : "Save"}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="text-gray-800 text-sm whitespace-pre-line break-words">
+                {comment.content}
+              </p>
+            )}
+          </div>
+
+          {!isEditing && (
+            <div className="flex items-center gap-3 mt-1 ml-3 text-xs text-gray-500">
+              {/* Only one level of nesting */}
+              {!isReply && (
+                <button
+                  onClick={() => setIsReplying(!isReplying)}
+                  className="flex items-center gap-1 hover:text-blue-600 transition-colors"
+                >
+                  <CornerDownRight size={12} />
+                  Reply
+                </button>
+              )}
+              {isOwner && (
+                <>
+                  <button
+                    onClick={() => setIsEditing(true)}
+                    className="flex items-center gap-1 hover:text-blue-600 transition-colors"
+                  >
+                    <Edit2 size={12} />
+                    Edit
+                  </button>
+                  <button
+                    onClick={handleDelete}
+                    className="flex items-center gap-1 hover:text-red-600 transition-colors"
+                  >
+                    <Trash2 size={12} />
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {comment.replies?.map((reply) => (
+        <CommentItem
+          key={reply._id}
+          comment={reply}
+          onEdit={onEdit}
+          onDelete={onDelete}
+          isReply
+        />
+      ))}
+
+      {isReplying && (
+        <div className="ml-10 mt-2">
+          <CommentComposer
+            onSubmit={handleReply}
+            placeholder={`Reply to ${comment.user?.name || "comment"}...`}
+            autoFocus
+            onCancel={() => setIsReplying(false)}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
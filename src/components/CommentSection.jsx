@@ -0,0 +1,201 @@
+import React, { useEffect, useState, useCallback, useRef } from "react";
+import { Loader2 } from "lucide-react";
+import axios from "../api/axios";
+import { useSocketEvent, COMMENT_EVENTS } from "../realtime/socket";
+import CommentComposer from "./CommentComposer";
+import CommentItem from "./CommentItem";
+
+const COMMENTS_PER_PAGE = 10;
+
+// Adds or replaces a comment. Top-level comments are newest first,
+// replies sit under their parent oldest first.
+const upsertComment = (comments, comment) => {
+  if (comment.parentId) {
+    return comments.map((c) => {
+      if (c._id !== comment.parentId) return c;
+      const replies = c.replies || [];
+      const exists = replies.some((r) => r._id === comment._id);
+      return {
+        ...c,
+        replies: exists
+          ? replies.map((r) => (r._id === comment._id ? { ...r, ...comment } : r))
+          : [...replies, comment],
+      };
+    });
+  }
+
+  if (comments.some((c) => c._id === comment._id)) {
+    // Keep replies we already loaded; edits don't carry them
+    return comments.map((c) => (c._id === comment._id ? { ...c, ...comment, replies: c.replies } : c));
+  }
+  return [comment, ...comments];
+};
+
+const removeComment = (comments, commentId, parentId) => {
+  if (parentId) {
+    return comments.map((c) =>
+      c._id === parentId
+        ? { ...c, replies: (c.replies || []).filter((r) => r._id !== commentId) }
+        : c
+    );
+  }
+  return comments.filter((c) => c._id !== commentId);
+};
+
+export default function CommentSection({ post, onPostUpdated }) {
+  const [comments, setComments] = useState([]);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isMountedRef = useRef(true);
+
+  useEffect(() => {
+    isMountedRef.current = true;
+    return () => {
+      isMountedRef.current = false;
+    };
+  }, []);
+
+  const updateCount = useCallback(
+    (commentCount) => {
+      if (onPostUpdated && typeof commentCount === "number") {
+        onPostUpdated({ ...post, commentCount });
+      }
+    },
+    [onPostUpdated, post]
+  );
+
+  const fetchComments = useCallback(
+    async (pageNum) => {
+      setLoading(true);
+      setError(null);
+
+      try {
+        const res = await axios.get(
+          `/posts/${post._id}/comments?page=${pageNum}&limit=${COMMENTS_PER_PAGE}`,
+          { timeout: 10000 }
+        );
+        if (!isMountedRef.current) return;
+
+        const newComments = res.data.comments || [];
+        setComments((prev) => {
+          if (pageNum === 1) return newComments;
+          // Remove duplicates (live comments may already be in the list)
+          const existingIds = new Set(prev.map((c) => c._id));
+          return [...prev, ...newComments.filter((c) => !existingIds.has(c._id))];
+        });
+        setHasMore(newComments.length >= COMMENTS_PER_PAGE);
+        setPage(pageNum);
+      } catch (err) {
+        console.error("Error fetching comments:", err);
+        if (!isMountedRef.current) return;
+        setError(err.response?.data?.message || err.message || "Failed to load comments");
+      } finally {
+        if (isMountedRef.current) setLoading(false);
+      }
+    },
+    [post._id]
+  );
+
+  useEffect(() => {
+    fetchComments(1);
+  }, [fetchComments]);
+
+  // Live comments for this post
+  useSocketEvent(COMMENT_EVENTS.CREATED, (data) => {
+    if (data?.postId !== post._id || !data.comment?._id) return;
+    setComments((prev) => upsertComment(prev, data.comment));
+  });
+
+  useSocketEvent(COMMENT_EVENTS.UPDATED, (data) => {
+    if (data?.postId !== post._id || !data.comment?._id) return;
+    setComments((prev) => upsertComment(prev, data.comment));
+  });
+
+  useSocketEvent(COMMENT_EVENTS.DELETED, (data) => {
+    if (data?.postId !== post._id || !data.commentId) return;
+    setComments((prev) => removeComment(prev, data.commentId, data.parentId));
+  });
+
+  const handleCreate = async (content, parentId = null) => {
+    try {
+      const res = await axios.post(
+        `/posts/${post._id}/comments`,
+        { content, parentId },
+        { timeout: 10000 }
+      );
+      setComments((prev) => upsertComment(prev, res.data.comment));
+      updateCount(res.data.commentCount);
+      return true;
+    } catch (err) {
+      console.error("Failed to add comment:", err);
+      alert(err.response?.data?.message || err.message || "Failed to add comment");
+      return false;
+    }
+  };
+
+  const handleEdit = async (comment, content) => {
+    try {
+      const res = await axios.put(`/comments/${comment._id}`, { content }, { timeout: 10000 });
+      setComments((prev) => upsertComment(prev, res.data.comment));
+      return true;
+    } catch (err) {
+      console.error("Failed to update comment:", err);
+      alert(err.response?.data?.message || err.message || "Failed to update comment");
+      return false;
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    try {
+      const res = await axios.delete(`/comments/${comment._id}`, { timeout: 10000 });
+      setComments((prev) => removeComment(prev, comment._id, comment.parentId));
+      updateCount(res.data.commentCount);
+    } catch (err) {
+      console.error("Failed to delete comment:", err);
+      alert(err.response?.data?.message || err.message || "Failed to delete comment");
+    }
+  };
+
+  return (
+    <section className="mt-3 pt-3 border-t border-gray-100" aria-label="Comments">
+      <CommentComposer onSubmit={(content) => handleCreate(content)} />
+
+      {comments.map((comment) => (
+        <CommentItem
+          key={comment._id}
+          comment={comment}
+          onEdit={handleEdit}
+          onDelete={handleDelete}
+          onReply={(parent, content) => handleCreate(content, parent._id)}
+        />
+      ))}
+
+      {loading && (
+        <div className="flex justify-center py-3">
+          <Loader2 className="w-5 h-5 animate-spin text-blue-600" aria-label="Loading comments" />
+        </div>
+      )}
+
+      {error && !loading && (
+        <p className="text-center text-xs text-red-600 mt-3">
+          {error}{" "}
+          <button onClick={() => fetchComments(page)} className="underline font-medium">
+            Retry
+          </button>
+        </p>
+      )}
+
+      {hasMore && !loading && !error && (
+        <button
+          onClick={() => fetchComments(page + 1)}
+          className="mt-3 text-sm text-blue-600 font-medium hover:underline"
+        >
+          Load more comments
+        </button>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { X, ChevronLeft, ChevronRight, Film } from "lucide-react";
+import { mediaTypeOf } from "../utils/media";
+import PosterPicker from "./PosterPicker";
+
+// Attachments picked in the composer. A single item keeps the large preview;
+// several become a grid that can be reordered before posting.
+// Videos get a button to pick their poster frame.
+export default function ComposerMedia({ attachments, onRemove, onMove, onPosterTimeChange, disabled }) {
+  const [posterPickerId, setPosterPickerId] = useState(null);
+  const pickerAttachment = attachments.find((attachment) => attachment.id === posterPickerId);
+
+  const posterButton = (id, index) => (
+    <button
+      type="button"
+      onClick={() => setPosterPickerId(posterPickerId === id ? null : id)}
+      disabled={disabled}
+      className="flex items-center gap-1 bg-white/90 rounded-full px-2 py-1 shadow text-xs font-medium text-gray-700 hover:bg-white"
+      aria-expanded={posterPickerId === id}
+      aria-label={index === undefined ? "Choose cover frame" : `Choose cover frame for attachment ${index + 1}`}
+    >
+      <Film size={12} />
+      Cover
+    </button>
+  );
+
+  const posterPicker = pickerAttachment && (
+    <PosterPicker
+      key={pickerAttachment.id}
+      attachment={pickerAttachment}
+      onChange={onPosterTimeChange}
+      onDone={() => setPosterPickerId(null)}
+      disabled={disabled}
+    />
+  );
+
+  if (attachments.length === 1) {
+    const [{ id, file, preview }] = attachments;
+
+    return (
+      <>
+        <div className="relative mt-5 rounded-2xl overflow-hidden group">
+          <div className="absolute inset-0 bg-gradient-to-br from-blue-500/5 to-purple-500/5"></div>
+          {mediaTypeOf(file) === "image" ? (
+            <img
+              src={preview}
+              alt="preview"
+              className="w-full h-auto max-h-96 sm:max-h-[500px] object-cover rounded-2xl"
+            />
+          ) : (
+            <video
+              src={preview}
+              controls
+              className="w-full h-auto max-h-96 sm:max-h-[500px] rounded-2xl"
+            />
+          )}
+          {/* Remove button with backdrop */}
+          <button
+            type="button"
+            onClick={() => onRemove(id)}
+            disabled={disabled}
+            className="absolute top-3 right-3 bg-white/90 backdrop-blur-md rounded-full p-2.5 shadow-lg hover:bg-red-50 transition-all duration-200 group-hover:scale-110"
+            aria-label="Remove media"
+          >
+            <X size={18} className="text-gray-700 hover:text-red-600 transition-colors" />
+          </button>
+          {mediaTypeOf(file) === "video" && <div className="absolute top-3 left-3">{posterButton(id)}</div>}
+          {/* Overlay gradient on hover */}
+          <div className="absolute inset-0 bg-gradient-to-t from-black/20 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300 rounded-2xl pointer-events-none"></div>
+        </div>
+        {posterPicker}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <ul className="mt-5 grid grid-cols-2 sm:grid-cols-3 gap-2" aria-label="Attached media">
+        {attachments.map(({ id, file, preview }, index) => (
+          <li key={id} className="relative aspect-square rounded-xl overflow-hidden bg-gray-100 group">
+            {mediaTypeOf(file) === "image" ? (
+              <img src={preview} alt={`Attachment ${index + 1}`} className="w-full h-full object-cover" />
+            ) : (
+              <video src={preview} muted className="w-full h-full object-cover bg-black" aria-label={`Attachment ${index + 1}`} />
+            )}
+
+            {mediaTypeOf(file) === "video" && (
+              <div className="absolute top-10 left-2">{posterButton(id, index)}</div>
+            )}
+
+            <span className="absolute top-2 left-2 min-w-6 h-6 px-1.5 rounded-full bg-black/60 text-white text-xs font-semibold flex items-center justify-center">
+              {index + 1}
+            </span>
+
+            <button
+              type="button"
+              onClick={() => onRemove(id)}
+              disabled={disabled}
+              className="absolute top-2 right-2 bg-white/90 rounded-full p-1.5 shadow hover:bg-red-50 transition-colors"
+              aria-label={`Remove attachment ${index + 1}`}
+            >
+              <X size={14} className="text-gray-700" />
+            </button>
+
+            <div className="absolute bottom-2 inset-x-2 flex justify-between opacity-100 sm:opacity-0 sm:group-hover:opacity-100 sm:group-focus-within:opacity-100 transition-opacity">
+              <button
+                type="button"
+                onClick={() => onMove(index, index - 1)}
+                disabled={disabled || index === 0}
+                className="bg-white/90 rounded-full p-1 shadow hover:bg-white disabled:invisible"
+                aria-label={`Move attachment ${index + 1} earlier`}
+              >
+                <ChevronLeft size={16} className="text-gray-700" />
+              </button>
+              <button
+                type="button"
+                onClick={() => onMove(index, index + 1)}
+                disabled={disabled || index === attachments.length - 1}
+                className="bg-white/90 rounded-full p-1 shadow hover:bg-white disabled:invisible"
+                aria-label={`Move attachment ${index + 1} later`}
+              >
+                <ChevronRight size={16} className="text-gray-700" />
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {posterPicker}
+    </>
+  );
+}
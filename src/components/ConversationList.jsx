@@ -0,0 +1,102 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { Loader2, AlertCircle, RefreshCw, MessageCircle } from "lucide-react";
+import { auth } from "../firebase";
+import { timeAgo } from "../utils/time";
+
+const avatarFor = (user) =>
+  user?.avatar ||
+  `https://ui-avatars.com/api/?name=${encodeURIComponent(user?.displayName || "User")}&background=3b82f6&color=fff`;
+
+const previewOf = (message) => {
+  if (!message) return "No messages yet";
+  return message.senderUid === auth.currentUser?.uid ? `You: ${message.text}` : message.text;
+};
+
+export default function ConversationList({ conversations, activeId, loading, error, retry }) {
+  if (loading) {
+    return (
+      <div className="flex justify-center py-10">
+        <Loader2 className="w-6 h-6 animate-spin text-blue-600" aria-label="Loading conversations" />
+      </div>
+    );
+  }
+
+  if (error && conversations.length === 0) {
+    return (
+      <div className="text-center py-8 px-4">
+        <p className="text-red-600 text-sm mb-3 flex items-center justify-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </p>
+        <button
+          onClick={retry}
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+        >
+          <RefreshCw size={14} />
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  if (conversations.length === 0) {
+    return (
+      <div className="flex flex-col items-center gap-2 text-center py-12 px-6">
+        <MessageCircle className="w-8 h-8 text-gray-300" />
+        <p className="text-gray-500 font-medium">No conversations yet</p>
+        <p className="text-gray-400 text-sm">Start one from someone's profile.</p>
+      </div>
+    );
+  }
+
+  return (
+    <ul className="divide-y divide-gray-50">
+      {conversations.map((conversation) => {
+        const { participant, lastMessage, unreadCount } = conversation;
+        const isActive = conversation._id === activeId;
+
+        return (
+          <li key={conversation._id}>
+            <Link
+              to={`/messages/${encodeURIComponent(conversation._id)}`}
+              className={`flex items-center gap-3 px-4 py-3 transition-colors ${
+                isActive ? "bg-blue-50" : "hover:bg-gray-50"
+              }`}
+              aria-current={isActive ? "page" : undefined}
+            >
+              <img
+                src={avatarFor(participant)}
+                alt=""
+                className="w-11 h-11 rounded-full object-cover flex-shrink-0"
+              />
+              <span className="flex-1 min-w-0">
+                <span className="flex items-baseline justify-between gap-2">
+                  <span className={`truncate text-sm ${unreadCount > 0 ? "font-bold text-gray-900" : "font-semibold text-gray-800"}`}>
+                    {participant?.displayName || "User"}
+                  </span>
+                  {lastMessage && (
+                    <span className="text-xs text-gray-400 flex-shrink-0">{timeAgo(lastMessage.createdAt)}</span>
+                  )}
+                </span>
+                <span className="flex items-center justify-between gap-2">
+                  <span className={`truncate text-sm ${unreadCount > 0 ? "text-gray-900" : "text-gray-500"}`}>
+                    {previewOf(lastMessage)}
+                  </span>
+                  {unreadCount > 0 && (
+                    <span
+                      className="min-w-5 h-5 px-1.5 rounded-full bg-blue-600 text-white text-[11px] font-bold flex items-center justify-center flex-shrink-0"
+                      aria-label={`${unreadCount} unread`}
+                    >
+                      {unreadCount > 99 ? "99+" : unreadCount}
+                    </span>
+                  )}
+                </span>
+              </span>
+            </Link>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
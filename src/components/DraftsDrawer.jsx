@@ -0,0 +1,66 @@
+import React from "react";
+import { FileText, Image, Video, Trash2, X } from "lucide-react";
+import { timeAgo } from "../utils/time";
+import { mediaTypeOf } from "../utils/media";
+
+export default function DraftsDrawer({ drafts, onResume, onDiscard, onClose }) {
+  return (
+    <div className="border-t border-gray-100 p-4 sm:p-6 bg-white/60" role="region" aria-label="Drafts">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-sm font-semibold text-gray-900">Drafts ({drafts.length})</h3>
+        <button
+          type="button"
+          onClick={onClose}
+          className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 transition-colors"
+          aria-label="Close drafts"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      {drafts.length === 0 ? (
+        <p className="text-sm text-gray-400 text-center py-4">
+          No saved drafts. Use "Save draft" to keep something for later.
+        </p>
+      ) : (
+        <ul className="space-y-2">
+          {drafts.map((draft) => (
+            <li
+              key={draft.id}
+              className="flex items-start gap-3 p-3 rounded-xl border border-gray-100 bg-white hover:border-blue-200 transition-colors"
+            >
+              <FileText size={18} className="text-blue-500 mt-0.5 flex-shrink-0" />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium text-gray-900 truncate">{draft.name || "Untitled draft"}</p>
+                <p className="text-xs text-gray-500 truncate">{draft.content || "No text"}</p>
+                <div className="flex items-center gap-2 mt-1 text-[11px] text-gray-400">
+                  {(draft.files || []).map((file, index) =>
+                    mediaTypeOf(file) === "video" ? <Video key={index} size={12} /> : <Image key={index} size={12} />
+                  )}
+                  <span>Saved {timeAgo(draft.updatedAt)}</span>
+                </div>
+              </div>
+              <div className="flex items-center gap-1 flex-shrink-0">
+                <button
+                  type="button"
+                  onClick={() => onResume(draft)}
+                  className="px-3 py-1 text-xs font-medium text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                >
+                  Resume
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDiscard(draft)}
+                  className="p-1.5 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                  aria-label={`Discard ${draft.name || "draft"}`}
+                >
+                  <Trash2 size={14} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
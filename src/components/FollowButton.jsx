@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import { Loader2, UserPlus, UserCheck } from "lucide-react";
+import axios from "../api/axios";
+
+export default function FollowButton({ uid, isFollowing, onChange }) {
+  const [pending, setPending] = useState(false);
+
+  const handleClick = async () => {
+    if (pending) return;
+
+    setPending(true);
+    try {
+      const url = `/users/${encodeURIComponent(uid)}/follow`;
+      const res = isFollowing
+        ? await axios.delete(url, { timeout: 10000 })
+        : await axios.post(url, null, { timeout: 10000 });
+
+      if (onChange) {
+        onChange({
+          isFollowing: res.data.isFollowing ?? !isFollowing,
+          followerCount: res.data.followerCount,
+        });
+      }
+    } catch (err) {
+      console.error("Failed to update follow:", err);
+      const errorMessage = err.response?.data?.message || err.message || "Failed to update follow";
+      alert(errorMessage);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={pending}
+      className={`mt-4 inline-flex items-center gap-2 px-6 py-2 font-semibold rounded-full shadow hover:shadow-md transition-all disabled:opacity-50 disabled:cursor-not-allowed ${
+        isFollowing
+          ? "bg-white/20 text-white border border-white hover:bg-white/30"
+          : "bg-white text-purple-600 hover:bg-purple-50"
+      }`}
+      aria-pressed={isFollowing}
+    >
+      {pending ? (
+        <Loader2 className="w-4 h-4 animate-spin" />
+      ) : isFollowing ? (
+        <UserCheck className="w-4 h-4" />
+      ) : (
+        <UserPlus className="w-4 h-4" />
+      )}
+      {isFollowing ? "Following" : "Follow"}
+    </button>
+  );
+}
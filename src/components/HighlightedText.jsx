@@ -0,0 +1,15 @@
+import React from "react";
+import { buildHighlightPattern, splitHighlights } from "../utils/highlight";
+
+// `text` with the words of `query` wrapped in <mark>
+export default function HighlightedText({ text = "", query = "" }) {
+  return splitHighlights(text, buildHighlightPattern(query)).map((part, index) =>
+    part.match ? (
+      <mark key={index} className="bg-yellow-200 text-inherit rounded px-0.5">
+        {part.text}
+      </mark>
+    ) : (
+      <React.Fragment key={index}>{part.text}</React.Fragment>
+    )
+  );
+}
@@ -0,0 +1,77 @@
+import React from "react";
+import { X, Globe } from "lucide-react";
+import { safeHref } from "../utils/markdown";
+
+const domainOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return url;
+  }
+};
+
+// Title, description, image and domain for an unfurled link.
+// `onRemove` adds a button for the composer to drop the preview.
+export default function LinkPreviewCard({ preview, loading, onRemove }) {
+  if (loading) {
+    return (
+      <div className="mt-3 flex gap-3 p-3 rounded-xl border border-gray-100 animate-pulse" aria-label="Loading link preview">
+        <div className="w-20 h-20 rounded-lg bg-gray-200 flex-shrink-0" />
+        <div className="flex-1 space-y-2 py-1">
+          <div className="h-3 bg-gray-200 rounded w-3/4" />
+          <div className="h-3 bg-gray-200 rounded w-1/2" />
+        </div>
+      </div>
+    );
+  }
+
+  const href = preview && safeHref(preview.url);
+  if (!href) return null;
+
+  const image = preview.image && safeHref(preview.image);
+  const domain = preview.siteName || domainOf(href);
+
+  return (
+    <div className="relative mt-3">
+      <a
+        href={href}
+        target="_blank"
+        rel="noopener noreferrer nofollow"
+        className="flex gap-3 p-3 rounded-xl border border-gray-200 hover:border-blue-200 hover:bg-blue-50/30 transition-colors overflow-hidden"
+      >
+        {image ? (
+          <img
+            src={image}
+            alt=""
+            className="w-20 h-20 sm:w-24 sm:h-24 rounded-lg object-cover flex-shrink-0 bg-gray-100"
+            loading="lazy"
+            onError={(e) => {
+              e.target.style.display = "none";
+            }}
+          />
+        ) : (
+          <div className="w-20 h-20 sm:w-24 sm:h-24 rounded-lg bg-gray-100 flex items-center justify-center flex-shrink-0">
+            <Globe size={24} className="text-gray-400" />
+          </div>
+        )}
+        <div className={`min-w-0 flex-1 ${onRemove ? "pr-6" : ""}`}>
+          <p className="text-xs text-gray-500 truncate">{domain}</p>
+          <p className="text-sm font-semibold text-gray-900 line-clamp-2">{preview.title || href}</p>
+          {preview.description && (
+            <p className="text-xs text-gray-600 mt-0.5 line-clamp-2">{preview.description}</p>
+          )}
+        </div>
+      </a>
+      {onRemove && (
+        <button
+          type="button"
+          onClick={onRemove}
+          className="absolute top-2 right-2 bg-white/90 rounded-full p-1 shadow hover:bg-red-50 transition-colors"
+          aria-label="Remove link preview"
+        >
+          <X size={14} className="text-gray-700" />
+        </button>
+      )}
+    </div>
+  );
+}
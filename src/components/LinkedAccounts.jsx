@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from "react";
+import { Loader2, Link2, Unlink, KeyRound, Github, Globe } from "lucide-react";
+import {
+  auth,
+  PROVIDER_IDS,
+  getLinkedProviderIds,
+  linkProvider,
+  linkPassword,
+  unlinkProvider,
+  completeRedirectSignIn,
+} from "../firebase";
+import { refreshIdToken } from "../session";
+import { authErrorMessage, isAuthCancellation } from "../utils/authErrors";
+
+const METHODS = [
+  { id: PROVIDER_IDS.GOOGLE, label: "Google", icon: <Globe size={18} /> },
+  { id: PROVIDER_IDS.GITHUB, label: "GitHub", icon: <Github size={18} /> },
+  { id: PROVIDER_IDS.PASSWORD, label: "Email and password", icon: <KeyRound size={18} /> },
+];
+
+// Sign-in methods on the current account, with link/unlink for each.
+// At least one method always stays linked.
+export default function LinkedAccounts() {
+  const [linkedIds, setLinkedIds] = useState(() => getLinkedProviderIds());
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [showPasswordForm, setShowPasswordForm] = useState(false);
+  const [password, setPassword] = useState("");
+
+  const refresh = async () => {
+    await auth.currentUser?.reload();
+    setLinkedIds(getLinkedProviderIds());
+    // Keep the token's provider info in step for the API
+    refreshIdToken().catch((err) => console.error("Token refresh failed:", err));
+  };
+
+  // Finishes a link that fell back to a redirect
+  useEffect(() => {
+    completeRedirectSignIn()
+      .then((result) => {
+        if (result) setLinkedIds(getLinkedProviderIds());
+      })
+      .catch((err) => {
+        console.error("Linking failed:", err);
+        setError(authErrorMessage(err));
+      });
+  }, []);
+
+  const run = async (id, action) => {
+    if (busy) return;
+
+    setBusy(id);
+    setError(null);
+    try {
+      await action();
+      await refresh();
+      return true;
+    } catch (err) {
+      console.error("Account linking error:", err);
+      if (!isAuthCancellation(err)) setError(authErrorMessage(err));
+      return false;
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleUnlink = (method) => {
+    if (!window.confirm(`Stop signing in with ${method.label}?`)) return;
+    run(method.id, () => unlinkProvider(method.id));
+  };
+
+  const handleLinkPassword = async (e) => {
+    e.preventDefault();
+    const ok = await run(PROVIDER_IDS.PASSWORD, () => linkPassword(password));
+    if (ok) {
+      setPassword("");
+      setShowPasswordForm(false);
+    }
+  };
+
+  return (
+    <section className="bg-white rounded-2xl shadow-sm border border-gray-100 p-5">
+      <h2 className="text-lg font-semibold text-gray-900">Sign-in methods</h2>
+      <p className="text-sm text-gray-500 mt-1">Link several so you can sign in with any of them.</p>
+
+      {error && (
+        <p className="mt-3 rounded-xl bg-red-50 text-red-700 text-sm p-3" role="alert">
+          {error}
+        </p>
+      )}
+
+      <ul className="mt-3 divide-y divide-gray-100">
+        {METHODS.map((method) => {
+          const isLinked = linkedIds.includes(method.id);
+          const isOnlyMethod = isLinked && linkedIds.length === 1;
+
+          return (
+            <li key={method.id} className="py-3">
+              <div className="flex items-center justify-between gap-3">
+                <span className="flex items-center gap-3 text-sm text-gray-800">
+                  <span className="text-gray-500">{method.icon}</span>
+                  {method.label}
+                  {isLinked && <span className="text-xs text-green-600 font-medium">Linked</span>}
+                </span>
+
+                {isLinked ? (
+                  <button
+                    onClick={() => handleUnlink(method)}
+                    disabled={Boolean(busy) || isOnlyMethod}
+                    title={isOnlyMethod ? "You need at least one way to sign in" : undefined}
+                    className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm text-gray-600 rounded-full hover:bg-gray-100 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {busy === method.id ? <Loader2 size={14} className="animate-spin" /> : <Unlink size={14} />}
+                    Unlink
+                  </button>
+                ) : (
+                  <button
+                    onClick={() =>
+                      method.id === PROVIDER_IDS.PASSWORD
+                        ? setShowPasswordForm(!showPasswordForm)
+                        : run(method.id, () => linkProvider(method.id))
+                    }
+                    disabled={Boolean(busy) || (method.id === PROVIDER_IDS.PASSWORD && !auth.currentUser?.email)}
+                    className="inline-flex items-center gap-1.5 px-3 py-1.5 text-sm text-blue-600 rounded-full hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    {busy === method.id ? <Loader2 size={14} className="animate-spin" /> : <Link2 size={14} />}
+                    Link
+                  </button>
+                )}
+              </div>
+
+              {method.id === PROVIDER_IDS.PASSWORD && showPasswordForm && !isLinked && (
+                <form onSubmit={handleLinkPassword} className="mt-3 flex items-center gap-2">
+                  <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder={`New password for ${auth.currentUser?.email}`}
+                    autoComplete="new-password"
+                    aria-label="New password"
+                    minLength={6}
+                    required
+                    className="flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                  />
+                  <button
+                    type="submit"
+                    disabled={Boolean(busy)}
+                    className="px-4 py-2 text-sm bg-blue-600 text-white font-semibold rounded-full hover:bg-blue-700 transition-colors disabled:opacity-50"
+                  >
+                    Save
+                  </button>
+                </form>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
@@ -0,0 +1,162 @@
+import React, { useState, useRef, useEffect } from "react";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+
+// Horizontal distance (px) a swipe has to cover to change slides
+const SWIPE_THRESHOLD = 50;
+
+// Gallery of a post's images and videos, one slide at a time
+export default function MediaCarousel({ media }) {
+  const [index, setIndex] = useState(0);
+  const [dragOffset, setDragOffset] = useState(0);
+
+  const videoRefs = useRef([]);
+  const dragStartRef = useRef(null);
+
+  const count = media.length;
+  const lastIndex = count - 1;
+
+  const goTo = (next) => setIndex(Math.max(0, Math.min(lastIndex, next)));
+
+  // Keep the index valid if items are removed by an edit
+  useEffect(() => {
+    setIndex((current) => Math.min(current, Math.max(0, count - 1)));
+  }, [count]);
+
+  // Only the visible slide may keep playing
+  useEffect(() => {
+    videoRefs.current.forEach((video, i) => {
+      if (video && i !== index) video.pause();
+    });
+  }, [index]);
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowLeft") {
+      e.preventDefault();
+      goTo(index - 1);
+    } else if (e.key === "ArrowRight") {
+      e.preventDefault();
+      goTo(index + 1);
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    // Leave mouse drags alone so video scrubbing still works
+    if (e.pointerType === "mouse") return;
+    dragStartRef.current = e.clientX;
+  };
+
+  const handlePointerMove = (e) => {
+    if (dragStartRef.current === null) return;
+    setDragOffset(e.clientX - dragStartRef.current);
+  };
+
+  const endDrag = () => {
+    if (dragStartRef.current === null) return;
+    if (dragOffset <= -SWIPE_THRESHOLD) goTo(index + 1);
+    else if (dragOffset >= SWIPE_THRESHOLD) goTo(index - 1);
+    dragStartRef.current = null;
+    setDragOffset(0);
+  };
+
+  return (
+    <div
+      className="relative rounded-xl overflow-hidden bg-black focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500"
+      role="region"
+      aria-roledescription="carousel"
+      aria-label="Post media"
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+    >
+      <div
+        className={`flex ${dragOffset ? "" : "transition-transform duration-300 ease-out"}`}
+        style={{
+          transform: `translateX(calc(${-index * 100}% + ${dragOffset}px))`,
+          touchAction: "pan-y",
+        }}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerCancel={endDrag}
+      >
+        {media.map((item, i) => (
+          <div
+            key={`${item.url}-${i}`}
+            className="w-full flex-shrink-0 flex items-center justify-center"
+            role="group"
+            aria-roledescription="slide"
+            aria-label={`${i + 1} of ${count}`}
+            aria-hidden={i !== index}
+          >
+            {item.type === "video" ? (
+              <video
+                ref={(el) => {
+                  videoRefs.current[i] = el;
+                }}
+                src={item.url}
+                controls
+                playsInline
+                preload="metadata"
+                poster={item.poster || undefined}
+                className="w-full bg-black"
+                style={{ maxHeight: "500px" }}
+                tabIndex={i === index ? 0 : -1}
+                onError={() => {
+                  console.error("Failed to load video:", item.url);
+                }}
+              />
+            ) : (
+              <img
+                src={item.url}
+                alt={`Post media ${i + 1} of ${count}`}
+                className="w-full object-cover select-none"
+                style={{ maxHeight: "500px" }}
+                loading="lazy"
+                draggable={false}
+                onError={() => {
+                  console.error("Failed to load image:", item.url);
+                }}
+              />
+            )}
+          </div>
+        ))}
+      </div>
+
+      {index > 0 && (
+        <button
+          type="button"
+          onClick={() => goTo(index - 1)}
+          className="absolute left-2 top-1/2 -translate-y-1/2 bg-white/90 rounded-full p-1.5 shadow hover:bg-white transition-colors"
+          aria-label="Previous media"
+        >
+          <ChevronLeft size={18} className="text-gray-700" />
+        </button>
+      )}
+      {index < lastIndex && (
+        <button
+          type="button"
+          onClick={() => goTo(index + 1)}
+          className="absolute right-2 top-1/2 -translate-y-1/2 bg-white/90 rounded-full p-1.5 shadow hover:bg-white transition-colors"
+          aria-label="Next media"
+        >
+          <ChevronRight size={18} className="text-gray-700" />
+        </button>
+      )}
+
+      {/* Position */}
+      <div className="absolute bottom-2 inset-x-0 flex justify-center gap-1.5">
+        {media.map((item, i) => (
+          <button
+            key={`${item.url}-${i}`}
+            type="button"
+            onClick={() => goTo(i)}
+            className={`w-2 h-2 rounded-full transition-colors ${
+              i === index ? "bg-white" : "bg-white/50 hover:bg-white/75"
+            }`}
+            aria-label={`Show media ${i + 1} of ${count}`}
+            aria-current={i === index}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useRef, useId } from "react";
+import { isCancel } from "axios";
+import { searchUsers } from "../api/users";
+import { getMentionQuery, mentionHandle } from "../utils/richText";
+
+// Idle time before the typed "@name" is looked up
+const SEARCH_DELAY = 200;
+
+const avatarFor = (user) =>
+  user.avatar ||
+  `https://ui-avatars.com/api/?name=${encodeURIComponent(user.displayName || "User")}&background=3b82f6&color=fff`;
+
+// Textarea with an @mention autocomplete popup. `onChange` receives the new
+// text; `onMention` gets `{ uid, handle }` whenever a suggestion is picked.
+// Other props go to the <textarea>.
+export default function MentionTextarea({ value, onChange, onMention, onKeyDown, onBlur, ...props }) {
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(0);
+
+  const textareaRef = useRef(null);
+  const listId = useId();
+
+  const query = mentionQuery?.query || "";
+  const isOpen = Boolean(mentionQuery) && suggestions.length > 0;
+
+  // Debounced lookup of the handle being typed
+  useEffect(() => {
+    if (!query) {
+      setSuggestions([]);
+      return;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      searchUsers(query, { signal: controller.signal })
+        .then((users) => {
+          setSuggestions(users.filter((user) => user.uid && mentionHandle(user)));
+          setActiveIndex(0);
+        })
+        .catch((err) => {
+          if (!isCancel(err)) console.error("Error searching users:", err);
+        });
+    }, SEARCH_DELAY);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [query]);
+
+  const trackCaret = (text, caret) => setMentionQuery(getMentionQuery(text, caret));
+
+  const closeSuggestions = () => {
+    setMentionQuery(null);
+    setSuggestions([]);
+  };
+
+  const selectUser = (user) => {
+    const handle = mentionHandle(user);
+    const textarea = textareaRef.current;
+    const before = value.slice(0, mentionQuery.start);
+    const after = value.slice(textarea?.selectionStart ?? value.length);
+    const inserted = `@${handle} `;
+
+    onChange(`${before}${inserted}${after}`);
+    onMention?.({ uid: user.uid, handle });
+    closeSuggestions();
+
+    // Put the caret after the inserted mention once React has re-rendered
+    requestAnimationFrame(() => {
+      if (!textarea) return;
+      const caret = before.length + inserted.length;
+      textarea.focus();
+      textarea.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (isOpen) {
+      if (e.key === "ArrowDown") {
+        e.preventDefault();
+        setActiveIndex((index) => (index + 1) % suggestions.length);
+        return;
+      }
+      if (e.key === "ArrowUp") {
+        e.preventDefault();
+        setActiveIndex((index) => (index - 1 + suggestions.length) % suggestions.length);
+        return;
+      }
+      if (e.key === "Enter" || e.key === "Tab") {
+        e.preventDefault();
+        selectUser(suggestions[activeIndex]);
+        return;
+      }
+      if (e.key === "Escape") {
+        e.preventDefault();
+        closeSuggestions();
+        return;
+      }
+    }
+    onKeyDown?.(e);
+  };
+
+  return (
+    <div className="relative">
+      <textarea
+        {...props}
+        ref={textareaRef}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          trackCaret(e.target.value, e.target.selectionStart);
+        }}
+        onSelect={(e) => trackCaret(e.target.value, e.target.selectionStart)}
+        onKeyDown={handleKeyDown}
+        onBlur={(e) => {
+          closeSuggestions();
+          onBlur?.(e);
+        }}
+        aria-autocomplete="list"
+        aria-expanded={isOpen}
+        aria-controls={isOpen ? listId : undefined}
+        aria-activedescendant={isOpen ? `${listId}-${activeIndex}` : undefined}
+      />
+
+      {isOpen && (
+        <ul
+          id={listId}
+          role="listbox"
+          aria-label="Mention suggestions"
+          className="absolute left-0 top-full mt-1 z-20 w-64 max-w-full bg-white rounded-xl shadow-lg border border-gray-100 py-1"
+        >
+          {suggestions.map((user, index) => (
+            <li
+              key={user.uid}
+              id={`${listId}-${index}`}
+              role="option"
+              aria-selected={index === activeIndex}
+              // Keep focus in the textarea so blur doesn't close the list first
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectUser(user)}
+              onMouseEnter={() => setActiveIndex(index)}
+              className={`flex items-center gap-2 px-3 py-2 cursor-pointer text-sm ${
+                index === activeIndex ? "bg-blue-50" : ""
+              }`}
+            >
+              <img src={avatarFor(user)} alt="" className="w-7 h-7 rounded-full object-cover" />
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 truncate">{user.displayName || "User"}</p>
+                <p className="text-xs text-gray-500 truncate">@{mentionHandle(user)}</p>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { Loader2, MessageCircle } from "lucide-react";
+import { startConversation } from "../api/messages";
+
+// Opens (creating if needed) the 1:1 conversation with `uid`
+export default function MessageButton({ uid }) {
+  const navigate = useNavigate();
+  const [pending, setPending] = useState(false);
+
+  const handleClick = async () => {
+    if (pending) return;
+
+    setPending(true);
+    try {
+      const conversation = await startConversation(uid);
+      navigate(`/messages/${encodeURIComponent(conversation._id)}`);
+    } catch (err) {
+      console.error("Failed to start conversation:", err);
+      const errorMessage = err.response?.data?.message || err.message || "Failed to start conversation";
+      alert(errorMessage);
+      setPending(false);
+    }
+  };
+
+  return (
+    <button
+      onClick={handleClick}
+      disabled={pending}
+      className="mt-4 inline-flex items-center gap-2 px-6 py-2 font-semibold rounded-full shadow hover:shadow-md transition-all bg-white/20 text-white border border-white hover:bg-white/30 disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      {pending ? <Loader2 className="w-4 h-4 animate-spin" /> : <MessageCircle className="w-4 h-4" />}
+      Message
+    </button>
+  );
+}
@@ -1,12 +1,48 @@
 import React, { useState, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { User } from 'lucide-react';
+import { User, Search, MessageCircle, Bookmark, ShieldCheck } from 'lucide-react';
+import { useSocket, CONNECTION_STATUS } from '../realtime/socket';
+import SearchBox from './SearchBox';
+import NotificationBell from './NotificationBell';
+import useUnreadMessages from '../hooks/useUnreadMessages';
+import useRoles from '../hooks/useRoles';
+import { hasRole, ROLES } from '../utils/permissions';
 
 const DEFAULT_AVATAR = "https://ui-avatars.com/api/?name=User&background=6366f1&color=fff";
 
+const STATUS_DISPLAY = {
+  [CONNECTION_STATUS.LIVE]: { label: 'Live', dot: 'bg-green-400' },
+  [CONNECTION_STATUS.CONNECTING]: { label: 'Connecting', dot: 'bg-yellow-300 animate-pulse' },
+  [CONNECTION_STATUS.RECONNECTING]: { label: 'Reconnecting', dot: 'bg-yellow-300 animate-pulse' },
+  [CONNECTION_STATUS.OFFLINE]: { label: 'Offline', dot: 'bg-gray-300' },
+};
+
+// Lives inside the signed-in cluster so the unread count is only fetched with a user
+function MessagesButton({ onClick }) {
+  const unreadCount = useUnreadMessages();
+
+  return (
+    <button
+      onClick={onClick}
+      className="relative p-2 rounded-full text-white hover:bg-white/20 transition-colors focus:outline-none focus:ring-2 focus:ring-white"
+      aria-label={unreadCount > 0 ? `Messages, ${unreadCount} unread` : 'Messages'}
+    >
+      <MessageCircle size={20} />
+      {unreadCount > 0 && (
+        <span className="absolute -top-0.5 -right-0.5 min-w-5 h-5 px-1 rounded-full bg-white text-red-600 text-[11px] font-bold flex items-center justify-center shadow">
+          {unreadCount > 99 ? '99+' : unreadCount}
+        </span>
+      )}
+    </button>
+  );
+}
+
 export default function Navbar({ user }) {
   const navigate = useNavigate();
   const [imageError, setImageError] = useState(false);
+  const { status } = useSocket();
+  const roles = useRoles();
+  const statusDisplay = STATUS_DISPLAY[status] || STATUS_DISPLAY[CONNECTION_STATUS.OFFLINE];
 
   // Get profile image URL with fallback logic
   const getProfileImageUrl = useCallback(() => {
@@ -43,7 +79,7 @@ export default function Navbar({ user }) {
   }, [user, imageError]);
 
   // Handle image loading error
-  const handleImageError = useCallback((e) => {
+  const handleImageError = useCallback(() => {
     console.warn('Profile image failed to load:', user?.photoURL);
     setImageError(true);
   }, [user?.photoURL]);
@@ -82,45 +118,90 @@ export default function Navbar({ user }) {
         App
       </button>
 
-      {/* Profile Icon */}
+      {user && <SearchBox className="hidden md:block flex-1 max-w-md mx-6" />}
+
       {user && (
-        <button
-          onClick={handleProfileClick}
-          className="flex items-center gap-2 cursor-pointer hover:scale-110 transition-transform focus:outline-none focus:ring-2 focus:ring-white focus:ring-offset-2 focus:ring-offset-pink-500 rounded-full"
-          aria-label={`View profile ${user.displayName || user.email || ''}`}
-        >
-          {user.photoURL && !imageError ? (
-            <img
-              src={getProfileImageUrl()}
-              alt={`${user.displayName || 'User'}'s profile`}
-              onError={handleImageError}
-              className="w-10 h-10 rounded-full border-2 border-white shadow-lg object-cover"
-              loading="lazy"
-              referrerPolicy="no-referrer"
-            />
-          ) : (
-            <div className="relative">
-              {/* Fallback: Try generated avatar first, then icon */}
-              {user.displayName || user.email ? (
-                <img
-                  src={getProfileImageUrl()}
-                  alt={`${user.displayName || 'User'}'s profile`}
-                  className="w-10 h-10 rounded-full border-2 border-white shadow-lg object-cover"
-                  loading="lazy"
-                  onError={() => {
-                    // If even the generated avatar fails, component will remount with icon
-                    console.warn('Generated avatar also failed');
-                  }}
-                />
-              ) : (
-                <User 
-                  className="w-10 h-10 text-white p-1 bg-indigo-600 rounded-full shadow-lg" 
-                  aria-hidden="true"
-                />
-              )}
-            </div>
+        <div className="flex items-center gap-4">
+          {/* Small screens search from the search page itself */}
+          <button
+            onClick={() => handleNavigation('/search')}
+            className="md:hidden p-2 rounded-full text-white hover:bg-white/20 transition-colors focus:outline-none focus:ring-2 focus:ring-white"
+            aria-label="Search"
+          >
+            <Search size={20} />
+          </button>
+
+          {hasRole(roles, ROLES.MODERATOR) && (
+            <button
+              onClick={() => handleNavigation('/admin/moderation')}
+              className="p-2 rounded-full text-white hover:bg-white/20 transition-colors focus:outline-none focus:ring-2 focus:ring-white"
+              aria-label="Moderation queue"
+            >
+              <ShieldCheck size={20} />
+            </button>
           )}
-        </button>
+
+          <button
+            onClick={() => handleNavigation('/saved')}
+            className="p-2 rounded-full text-white hover:bg-white/20 transition-colors focus:outline-none focus:ring-2 focus:ring-white"
+            aria-label="Saved posts"
+          >
+            <Bookmark size={20} />
+          </button>
+
+          <MessagesButton onClick={() => handleNavigation('/messages')} />
+
+          <NotificationBell />
+
+          {/* Realtime connection indicator */}
+          <span
+            className="flex items-center gap-1.5 text-white text-xs font-medium bg-white/20 rounded-full px-3 py-1"
+            role="status"
+            aria-live="polite"
+          >
+            <span className={`w-2 h-2 rounded-full ${statusDisplay.dot}`} aria-hidden="true" />
+            {statusDisplay.label}
+          </span>
+
+          {/* Profile Icon */}
+          <button
+            onClick={handleProfileClick}
+            className="flex items-center gap-2 cursor-pointer hover:scale-110 transition-transform focus:outline-none focus:ring-2 focus:ring-white focus:ring-offset-2 focus:ring-offset-pink-500 rounded-full"
+            aria-label={`View profile ${user.displayName || user.email || ''}`}
+          >
+            {user.photoURL && !imageError ? (
+              <img
+                src={getProfileImageUrl()}
+                alt={`${user.displayName || 'User'}'s profile`}
+                onError={handleImageError}
+                className="w-10 h-10 rounded-full border-2 border-white shadow-lg object-cover"
+                loading="lazy"
+                referrerPolicy="no-referrer"
+              />
+            ) : (
+              <div className="relative">
+                {/* Fallback: Try generated avatar first, then icon */}
+                {user.displayName || user.email ? (
+                  <img
+                    src={getProfileImageUrl()}
+                    alt={`${user.displayName || 'User'}'s profile`}
+                    className="w-10 h-10 rounded-full border-2 border-white shadow-lg object-cover"
+                    loading="lazy"
+                    onError={() => {
+                      // If even the generated avatar fails, component will remount with icon
+                      console.warn('Generated avatar also failed');
+                    }}
+                  />
+                ) : (
+                  <User 
+                    className="w-10 h-10 text-white p-1 bg-indigo-600 rounded-full shadow-lg" 
+                    aria-hidden="true"
+                  />
+                )}
+              </div>
+            )}
+          </button>
+        </div>
       )}
     </nav>
   );
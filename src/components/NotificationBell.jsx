@@ -0,0 +1,154 @@
+import React, { useState, useRef, useEffect } from "react";
+import { useNavigate } from "react-router-dom";
+import { Bell, Check, CheckCheck, Loader2 } from "lucide-react";
+import useNotifications from "../hooks/useNotifications";
+import { timeAgo } from "../utils/time";
+
+const NOTIFICATION_TEXT = {
+  reaction: "reacted to your post",
+  comment: "commented on your post",
+  reply: "replied to your comment",
+  mention: "mentioned you in a post",
+  follow: "started following you",
+};
+
+const avatarFor = (actor) =>
+  actor?.avatar ||
+  `https://ui-avatars.com/api/?name=${encodeURIComponent(actor?.name || "User")}&background=3b82f6&color=fff`;
+
+// Where clicking a notification goes
+const targetOf = (notification) => {
+  if (notification.postId) return `/posts/${encodeURIComponent(notification.postId)}`;
+  if (notification.actor?.uid) return `/users/${encodeURIComponent(notification.actor.uid)}`;
+  return null;
+};
+
+export default function NotificationBell() {
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const panelRef = useRef(null);
+  const { notifications, unreadCount, hasMore, loading, error, loadOlder, markRead, markAllRead } =
+    useNotifications();
+
+  // Close when clicking outside or pressing Escape
+  useEffect(() => {
+    if (!open) return;
+
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) setOpen(false);
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === "Escape") setOpen(false);
+    };
+
+    document.addEventListener("mousedown", handleClickOutside);
+    document.addEventListener("keydown", handleKeyDown);
+    return () => {
+      document.removeEventListener("mousedown", handleClickOutside);
+      document.removeEventListener("keydown", handleKeyDown);
+    };
+  }, [open]);
+
+  const handleOpen = (notification) => {
+    markRead(notification);
+    setOpen(false);
+    const target = targetOf(notification);
+    if (target) navigate(target);
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-full text-white hover:bg-white/20 transition-colors focus:outline-none focus:ring-2 focus:ring-white"
+        aria-label={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : "Notifications"}
+        aria-expanded={open}
+        aria-haspopup="true"
+      >
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-5 h-5 px-1 rounded-full bg-white text-red-600 text-[11px] font-bold flex items-center justify-center shadow">
+            {unreadCount > 99 ? "99+" : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div
+          className="absolute right-0 mt-2 w-80 sm:w-96 bg-white rounded-2xl shadow-xl border border-gray-100 overflow-hidden z-50"
+          role="dialog"
+          aria-label="Notifications"
+        >
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-100">
+            <h2 className="text-sm font-semibold text-gray-900">Notifications</h2>
+            {unreadCount > 0 && (
+              <button
+                onClick={markAllRead}
+                className="flex items-center gap-1 text-xs font-medium text-blue-600 hover:bg-blue-50 px-2 py-1 rounded-lg transition-colors"
+              >
+                <CheckCheck size={14} />
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 && !loading ? (
+              <p className="text-sm text-gray-400 text-center py-10">
+                {error || "You're all caught up"}
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-50">
+                {notifications.map((notification) => (
+                  <li
+                    key={notification._id}
+                    className={`flex items-start gap-3 px-4 py-3 ${notification.read ? "" : "bg-blue-50/50"}`}
+                  >
+                    <button
+                      onClick={() => handleOpen(notification)}
+                      className="flex items-start gap-3 flex-1 min-w-0 text-left"
+                    >
+                      <img
+                        src={avatarFor(notification.actor)}
+                        alt=""
+                        className="w-9 h-9 rounded-full object-cover flex-shrink-0"
+                      />
+                      <span className="min-w-0">
+                        <span className="block text-sm text-gray-800">
+                          <span className="font-semibold">{notification.actor?.name || "Someone"}</span>{" "}
+                          {NOTIFICATION_TEXT[notification.type] || "sent you a notification"}
+                        </span>
+                        <span className="block text-xs text-gray-400 mt-0.5">{timeAgo(notification.createdAt)}</span>
+                      </span>
+                    </button>
+                    {!notification.read && (
+                      <button
+                        onClick={() => markRead(notification)}
+                        className="p-1.5 rounded-full text-blue-600 hover:bg-blue-100 transition-colors flex-shrink-0"
+                        aria-label="Mark as read"
+                        title="Mark as read"
+                      >
+                        <Check size={14} />
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {hasMore && (
+              <button
+                onClick={loadOlder}
+                disabled={loading}
+                className="w-full flex items-center justify-center gap-2 py-3 text-sm font-medium text-blue-600 hover:bg-gray-50 border-t border-gray-100 transition-colors disabled:opacity-50"
+              >
+                {loading && <Loader2 size={14} className="animate-spin" />}
+                {loading ? "Loading..." : "Load older"}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
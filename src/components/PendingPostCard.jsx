@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from "react";
+import { CloudOff, Loader2, AlertCircle, RefreshCw, Edit2, X } from "lucide-react";
+import { updateQueuedPost, removeQueuedPost, retryQueuedPost } from "../outbox/outbox";
+import { mediaTypeOf } from "../utils/media";
+
+// A post waiting in the outbox, shown at the top of the feed until it's sent
+export default function PendingPostCard({ entry }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState(entry.content || "");
+  const [filePreviews, setFilePreviews] = useState([]);
+
+  const isFailed = entry.status === "failed";
+  const attachments = entry.attachments;
+  const hasMedia = attachments.length > 0;
+
+  // The outbox won't take changes mid-send, so drop an open editor
+  useEffect(() => {
+    if (entry.sending) setIsEditing(false);
+  }, [entry.sending]);
+
+  // Object URLs for files not uploaded yet, revoked when they change
+  useEffect(() => {
+    const urls = entry.attachments.map(({ file }) => (file ? URL.createObjectURL(file) : null));
+    setFilePreviews(urls);
+    return () => urls.forEach((url) => url && URL.revokeObjectURL(url));
+  }, [entry]);
+
+  const handleSave = async () => {
+    if (entry.sending) return;
+    const trimmedContent = editContent.trim();
+    if (!trimmedContent && !hasMedia) {
+      alert("Please add text or keep the media");
+      return;
+    }
+
+    try {
+      await updateQueuedPost(entry.id, { content: trimmedContent });
+      setIsEditing(false);
+    } catch (err) {
+      console.error("Failed to edit queued post:", err);
+      alert("Failed to save changes. Please try again.");
+    }
+  };
+
+  const handleRemoveMedia = async (index) => {
+    if (entry.sending) return;
+    if (!entry.content?.trim() && attachments.length === 1) {
+      alert("A post needs text or media");
+      return;
+    }
+    try {
+      await updateQueuedPost(entry.id, { attachments: attachments.filter((_, i) => i !== index) });
+    } catch (err) {
+      console.error("Failed to remove queued media:", err);
+      alert(err.message || "Failed to remove media. Please try again.");
+    }
+  };
+
+  // Send failures end up on the entry as `lastError`; this catches the rest
+  const handleRetry = async () => {
+    try {
+      await retryQueuedPost(entry.id, entry.userId);
+    } catch (err) {
+      console.error("Failed to retry queued post:", err);
+      alert(err.message || "Failed to retry. Please try again.");
+    }
+  };
+
+  const handleCancel = async () => {
+    if (entry.sending) return;
+    if (!window.confirm("Discard this post? It hasn't been shared yet.")) return;
+    try {
+      await removeQueuedPost(entry.id);
+    } catch (err) {
+      console.error("Failed to discard queued post:", err);
+      alert(err.message || "Failed to discard post. Please try again.");
+    }
+  };
+
+  return (
+    <article className="bg-white rounded-2xl shadow-sm border border-dashed border-blue-200 p-5 relative opacity-90">
+      {/* Status */}
+      <div
+        className={`flex items-center gap-2 text-xs font-medium mb-3 ${
+          isFailed ? "text-red-600" : "text-blue-600"
+        }`}
+        role="status"
+      >
+        {entry.sending ? (
+          <>
+            <Loader2 size={14} className="animate-spin" />
+            Sending...
+          </>
+        ) : isFailed ? (
+          <>
+            <AlertCircle size={14} />
+            Couldn't post: {entry.lastError || "unknown error"}
+          </>
+        ) : (
+          <>
+            <CloudOff size={14} />
+            Pending, will be sent when you're back online
+          </>
+        )}
+      </div>
+
+      {isEditing && !entry.sending ? (
+        <div className="space-y-2">
+          <textarea
+            value={editContent}
+            onChange={(e) => setEditContent(e.target.value)}
+            className="w-full border border-gray-300 rounded-xl p-3 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+            rows={4}
+            maxLength={5000}
+            autoFocus
+            aria-label="Edit queued post"
+          />
+          <div className="flex justify-end gap-2">
+            <button
+              onClick={() => {
+                setIsEditing(false);
+                setEditContent(entry.content || "");
+              }}
+              className="px-4 py-2 text-sm bg-gray-100 hover:bg-gray-200 rounded-lg transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 text-sm bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      ) : (
+        entry.content && (
+          <p className="text-gray-800 text-sm mb-3 whitespace-pre-line break-words">
+            {entry.content}
+          </p>
+        )
+      )}
+
+      {hasMedia && (
+        <div className={`grid gap-2 ${attachments.length > 1 ? "grid-cols-3" : "grid-cols-1"}`}>
+          {attachments.map(({ file, media }, index) => {
+            const url = media?.url || filePreviews[index];
+            const type = media?.type || mediaTypeOf(file);
+            if (!url) return null;
+
+            return (
+              <div key={url} className="relative">
+                {type === "video" ? (
+                  <video src={url} poster={media?.poster || undefined} controls={attachments.length === 1} className="w-full rounded-xl bg-black object-cover" style={{ maxHeight: "300px" }} />
+                ) : (
+                  <img src={url} alt={`Pending upload ${index + 1}`} className="rounded-xl w-full object-cover" style={{ maxHeight: "300px" }} />
+                )}
+                {!entry.sending && (
+                  <button
+                    onClick={() => handleRemoveMedia(index)}
+                    className="absolute top-2 right-2 bg-white/90 rounded-full p-1.5 shadow hover:bg-red-50 transition-colors"
+                    aria-label={`Remove media ${index + 1}`}
+                  >
+                    <X size={16} className="text-gray-700" />
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {!entry.sending && !isEditing && (
+        <div className="flex gap-2 mt-3">
+          <button
+            onClick={handleRetry}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+          >
+            <RefreshCw size={14} />
+            Retry now
+          </button>
+          <button
+            onClick={() => setIsEditing(true)}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-50 rounded-lg transition-colors"
+          >
+            <Edit2 size={14} />
+            Edit
+          </button>
+          <button
+            onClick={handleCancel}
+            className="flex items-center gap-1.5 px-3 py-1.5 text-sm text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+          >
+            <X size={14} />
+            Cancel
+          </button>
+        </div>
+      )}
+    </article>
+  );
+}
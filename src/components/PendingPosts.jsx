@@ -0,0 +1,19 @@
+import React from "react";
+import { auth } from "../firebase";
+import useOutbox from "../hooks/useOutbox";
+import PendingPostCard from "./PendingPostCard";
+
+// The signed-in user's posts that are still waiting in the outbox
+export default function PendingPosts() {
+  const entries = useOutbox(auth.currentUser?.uid);
+
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="mt-6 space-y-4" aria-label="Pending posts">
+      {entries.map((entry) => (
+        <PendingPostCard key={entry.id} entry={entry} />
+      ))}
+    </div>
+  );
+}
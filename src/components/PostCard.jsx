@@ -1,23 +1,68 @@
 import React, { useState, useRef, useEffect, useCallback } from "react";
-import { MoreHorizontal, Edit2, Trash2 } from "lucide-react";
+import { Link } from "react-router-dom";
+import {
+  MoreHorizontal,
+  Edit2,
+  Trash2,
+  MessageCircle,
+  Link2,
+  Check,
+  Eye,
+  EyeOff,
+  Bookmark,
+  Flag,
+} from "lucide-react";
 import axios from "../api/axios";
 import { auth } from "../firebase";
+import ReactionBar from "./ReactionBar";
+import CommentSection from "./CommentSection";
+import MediaCarousel from "./MediaCarousel";
+import MentionTextarea from "./MentionTextarea";
+import PostContent from "./PostContent";
+import LinkPreviewCard from "./LinkPreviewCard";
+import ReportDialog from "./ReportDialog";
+import { isAuthor, canDeletePost } from "../utils/permissions";
+import { timeAgo } from "../utils/time";
+import { getPostMedia } from "../utils/media";
+import { mentionsInText } from "../utils/richText";
+import { getFirstLink, getPreviewLink } from "../utils/markdown";
+import useLinkPreview from "../hooks/useLinkPreview";
+import useSavedPost from "../hooks/useSavedPost";
+import useRoles from "../hooks/useRoles";
 
 const DEFAULT_AVATAR = "https://ui-avatars.com/api/?name=User&background=3b82f6&color=fff";
 
-export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
+export default function PostCard({ post, onPostUpdated, onPostDeleted, highlight }) {
   const [isEditing, setIsEditing] = useState(false);
   const [editContent, setEditContent] = useState(post.content || "");
+  const [editMentions, setEditMentions] = useState(post.mentions || []);
+  const [showEditPreview, setShowEditPreview] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
   const [isSaving, setIsSaving] = useState(false);
   const [avatarError, setAvatarError] = useState(false);
+  const [showComments, setShowComments] = useState(false);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [showReport, setShowReport] = useState(false);
   
   const videoRef = useRef(null);
   const menuRef = useRef(null);
 
   const currentUser = auth.currentUser;
-  const isOwner = currentUser?.uid === post.user?.uid;
+  const roles = useRoles();
+  const isOwner = isAuthor(post, currentUser);
+  const canDelete = canDeletePost(post, currentUser, roles);
+  const media = getPostMedia(post);
+  const singleMedia = media.length === 1 ? media[0] : null;
+  const singleVideoUrl = singleMedia?.type === "video" ? singleMedia.url : null;
+  // Older posts don't store the preview choice, so use their first link.
+  // Media takes the place of the card.
+  const storedLinkPreviewUrl =
+    post.linkPreviewUrl !== undefined ? post.linkPreviewUrl : getFirstLink(post.content);
+  const linkPreviewUrl = media.length > 0 ? null : storedLinkPreviewUrl;
+  const { preview: linkPreview, loading: linkPreviewLoading } = useLinkPreview(linkPreviewUrl);
+  const { saved, pending: savePending, toggle: toggleSaved } = useSavedPost(post);
+  const authorPath = post.user?.uid ? `/users/${encodeURIComponent(post.user.uid)}` : null;
 
   // Get avatar URL with fallback
   const getAvatarUrl = useCallback(() => {
@@ -78,22 +123,7 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
       observer.disconnect();
       video.pause();
     };
-  }, []);
-
-  // Format time ago
-  const timeAgo = useCallback((dateString) => {
-    try {
-      const diff = (Date.now() - new Date(dateString)) / 1000;
-      if (diff < 60) return `${Math.floor(diff)}s ago`;
-      if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
-      if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`;
-      if (diff < 2592000) return `${Math.floor(diff / 86400)}d ago`;
-      return new Date(dateString).toLocaleDateString();
-    } catch (error) {
-      console.error("Error formatting date:", error);
-      return "Unknown";
-    }
-  }, []);
+  }, [singleVideoUrl]);
 
   // Edit post with validation
   const handleEdit = async () => {
@@ -112,22 +142,16 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
 
     setIsSaving(true);
     try {
-      const token = localStorage.getItem("authToken");
-      
-      if (!token) {
-        throw new Error("Authentication required");
-      }
-
       const res = await axios.put(
         `/posts/${post._id}`,
         {
           userId: currentUser.uid,
           content: trimmedContent,
+          mentions: mentionsInText(trimmedContent, editMentions),
+          // A preview the author removed stays removed, other links get one
+          linkPreviewUrl: getPreviewLink(trimmedContent, post.dismissedLinkUrl),
         },
-        { 
-          headers: { Authorization: `Bearer ${token}` },
-          timeout: 10000
-        }
+        { timeout: 10000 }
       );
 
       if (onPostUpdated) {
@@ -152,14 +176,7 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
 
     setIsDeleting(true);
     try {
-      const token = localStorage.getItem("authToken");
-      
-      if (!token) {
-        throw new Error("Authentication required");
-      }
-
       await axios.delete(`/posts/${post._id}`, {
-        headers: { Authorization: `Bearer ${token}` },
         data: { userId: currentUser.uid },
         timeout: 10000
       });
@@ -175,6 +192,25 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
     }
   };
 
+  // Copy the post's permalink to the clipboard
+  const handleCopyLink = async () => {
+    const permalink = `${window.location.origin}/posts/${post._id}`;
+
+    try {
+      await navigator.clipboard.writeText(permalink);
+      setLinkCopied(true);
+      setTimeout(() => {
+        setLinkCopied(false);
+        setShowMenu(false);
+      }, 1500);
+    } catch (err) {
+      // Clipboard API unavailable (e.g. insecure context); let the user copy manually
+      console.warn("Clipboard write failed:", err);
+      window.prompt("Copy this link:", permalink);
+      setShowMenu(false);
+    }
+  };
+
   // Handle escape key to cancel editing
   useEffect(() => {
     const handleEscape = (e) => {
@@ -190,30 +226,73 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
     }
   }, [isEditing, post.content]);
 
+  const avatar = (
+    <img
+      src={getAvatarUrl()}
+      alt={`${post.user?.name || "User"}'s avatar`}
+      onError={handleAvatarError}
+      className="w-10 h-10 rounded-full border border-gray-200 object-cover"
+      loading="lazy"
+    />
+  );
+
   return (
     <article className="bg-white rounded-2xl shadow-sm border border-gray-100 p-5 relative">
       {/* Header */}
       <div className="flex items-center justify-between mb-3">
         <div className="flex items-center gap-3">
-          <img
-            src={getAvatarUrl()}
-            alt={`${post.user?.name || "User"}'s avatar`}
-            onError={handleAvatarError}
-            className="w-10 h-10 rounded-full border border-gray-200 object-cover"
-            loading="lazy"
-          />
+          {/* Avatar duplicates the name link, so keep it out of the tab order */}
+          {authorPath ? (
+            <Link to={authorPath} tabIndex={-1} aria-hidden="true">
+              {avatar}
+            </Link>
+          ) : (
+            avatar
+          )}
           <div>
             <h3 className="font-semibold text-gray-900 text-sm">
-              {post.user?.name || "Unknown User"}
+              {authorPath ? (
+                <Link to={authorPath} className="hover:text-blue-600 hover:underline">
+                  {post.user?.name || "Unknown User"}
+                </Link>
+              ) : (
+                post.user?.name || "Unknown User"
+              )}
             </h3>
-            <time className="text-xs text-gray-500" dateTime={post.createdAt}>
-              {timeAgo(post.createdAt)}
-            </time>
+            <div className="flex items-center gap-2 text-xs text-gray-500">
+              <Link to={`/posts/${post._id}`} className="hover:underline">
+                <time dateTime={post.createdAt}>
+                  {timeAgo(post.createdAt)}
+                </time>
+              </Link>
+              <span aria-hidden="true">·</span>
+              <button
+                onClick={() => setShowComments(!showComments)}
+                className="flex items-center gap-1 hover:text-blue-600 transition-colors"
+                aria-expanded={showComments}
+              >
+                <MessageCircle size={12} />
+                {post.commentCount || 0} {post.commentCount === 1 ? "comment" : "comments"}
+              </button>
+            </div>
           </div>
         </div>
 
-        {isOwner && !isDeleting && (
-          <div className="relative" ref={menuRef}>
+        {!isDeleting && (
+          <div className="relative flex items-center" ref={menuRef}>
+            <button
+              onClick={toggleSaved}
+              disabled={savePending}
+              className={`p-2 rounded-full hover:bg-gray-50 transition-colors disabled:opacity-50 ${
+                saved ? "text-blue-600" : "text-gray-500 hover:text-blue-600"
+              }`}
+              aria-label={saved ? "Remove from saved" : "Save post"}
+              aria-pressed={saved}
+              title={saved ? "Saved" : "Save"}
+            >
+              <Bookmark size={18} fill={saved ? "currentColor" : "none"} />
+            </button>
+
             <button
               onClick={() => setShowMenu(!showMenu)}
               className="text-gray-500 hover:text-blue-600 p-2 rounded-full hover:bg-gray-50 transition-colors"
@@ -229,25 +308,62 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
                 role="menu"
               >
                 <button
-                  onClick={() => {
-                    setIsEditing(true);
-                    setShowMenu(false);
-                  }}
+                  onClick={handleCopyLink}
                   className="flex items-center w-full px-4 py-2 text-left text-sm hover:bg-gray-50 transition-colors"
                   role="menuitem"
                 >
-                  <Edit2 size={16} className="mr-2 text-blue-600" />
-                  Edit
-                </button>
-                <button
-                  onClick={handleDelete}
-                  disabled={isDeleting}
-                  className="flex items-center w-full px-4 py-2 text-left text-sm hover:bg-red-50 text-red-600 transition-colors"
-                  role="menuitem"
-                >
-                  <Trash2 size={16} className="mr-2" />
-                  Delete
+                  {linkCopied ? (
+                    <>
+                      <Check size={16} className="mr-2 text-green-600" />
+                      Link copied
+                    </>
+                  ) : (
+                    <>
+                      <Link2 size={16} className="mr-2 text-blue-600" />
+                      Copy link
+                    </>
+                  )}
                 </button>
+                {!isOwner && (
+                  <button
+                    onClick={() => {
+                      setShowReport(true);
+                      setShowMenu(false);
+                    }}
+                    className="flex items-center w-full px-4 py-2 text-left text-sm hover:bg-red-50 text-red-600 transition-colors"
+                    role="menuitem"
+                  >
+                    <Flag size={16} className="mr-2" />
+                    Report
+                  </button>
+                )}
+                {isOwner && (
+                  <button
+                    onClick={() => {
+                      setIsEditing(true);
+                      setEditMentions(post.mentions || []);
+                      setShowEditPreview(false);
+                      setShowMenu(false);
+                    }}
+                    className="flex items-center w-full px-4 py-2 text-left text-sm hover:bg-gray-50 transition-colors"
+                    role="menuitem"
+                  >
+                    <Edit2 size={16} className="mr-2 text-blue-600" />
+                    Edit
+                  </button>
+                )}
+                {/* Moderators can delete anyone's post, but only authors edit */}
+                {canDelete && (
+                  <button
+                    onClick={handleDelete}
+                    disabled={isDeleting}
+                    className="flex items-center w-full px-4 py-2 text-left text-sm hover:bg-red-50 text-red-600 transition-colors"
+                    role="menuitem"
+                  >
+                    <Trash2 size={16} className="mr-2" />
+                    Delete
+                  </button>
+                )}
               </div>
             )}
           </div>
@@ -257,25 +373,48 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
       {/* Content */}
       {isEditing ? (
         <div className="space-y-2">
-          <textarea
-            value={editContent}
-            onChange={(e) => setEditContent(e.target.value)}
-            className="w-full border border-gray-300 rounded-xl p-3 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
-            rows={4}
-            maxLength={5000}
-            placeholder="What's on your mind?"
-            autoFocus
-            disabled={isSaving}
-            aria-label="Edit post content"
-          />
+          {showEditPreview ? (
+            <div className="min-h-[6.5rem] border border-gray-200 rounded-xl p-3 text-sm text-gray-800" aria-label="Edit preview">
+              {editContent.trim() ? (
+                <PostContent content={editContent} mentions={mentionsInText(editContent, editMentions)} />
+              ) : (
+                <p className="text-gray-400">Nothing to preview</p>
+              )}
+            </div>
+          ) : (
+            <MentionTextarea
+              value={editContent}
+              onChange={setEditContent}
+              onMention={(mention) => setEditMentions((prev) => [...prev, mention])}
+              className="w-full border border-gray-300 rounded-xl p-3 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+              rows={4}
+              maxLength={5000}
+              placeholder="What's on your mind?"
+              autoFocus
+              disabled={isSaving}
+              aria-label="Edit post content"
+            />
+          )}
           <div className="flex justify-between items-center">
-            <span className="text-xs text-gray-500">
-              {editContent.length}/5000
-            </span>
+            <div className="flex items-center gap-3">
+              <span className="text-xs text-gray-500">
+                {editContent.length}/5000
+              </span>
+              <button
+                type="button"
+                onClick={() => setShowEditPreview(!showEditPreview)}
+                className="flex items-center gap-1 text-xs font-medium text-gray-600 hover:text-blue-600 transition-colors"
+                aria-pressed={showEditPreview}
+              >
+                {showEditPreview ? <EyeOff size={14} /> : <Eye size={14} />}
+                {showEditPreview ? "Write" : "Preview"}
+              </button>
+            </div>
             <div className="flex gap-2">
               <button
                 onClick={() => {
                   setIsEditing(false);
+                  setShowEditPreview(false);
                   setEditContent(post.content || "");
                 }}
                 disabled={isSaving}
@@ -296,26 +435,33 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
       ) : (
         <>
           {post.content && (
-            <p className="text-gray-800 text-sm mb-3 whitespace-pre-line break-words">
-              {post.content}
-            </p>
+            <PostContent
+              content={post.content}
+              mentions={post.mentions}
+              highlight={highlight}
+              className="text-gray-800 text-sm mb-3"
+            />
           )}
           
-          {post.imageUrl && (
+          {linkPreviewUrl && <LinkPreviewCard preview={linkPreview} loading={linkPreviewLoading} />}
+
+          {media.length > 1 && <MediaCarousel media={media} />}
+
+          {singleMedia?.type === "image" && (
             <img
-              src={post.imageUrl}
+              src={singleMedia.url}
               alt="Post content"
               className="rounded-xl w-full object-cover"
               style={{ maxHeight: "500px" }}
               loading="lazy"
               onError={(e) => {
                 e.target.style.display = "none";
-                console.error("Failed to load image:", post.imageUrl);
+                console.error("Failed to load image:", singleMedia.url);
               }}
             />
           )}
           
-          {post.videoUrl && (
+          {singleVideoUrl && (
             <video
               ref={videoRef}
               controls
@@ -324,17 +470,28 @@ export default function PostCard({ post, onPostUpdated, onPostDeleted }) {
               className="w-full rounded-xl bg-black"
               style={{ maxHeight: "500px" }}
               preload="metadata"
-              onError={(e) => {
-                console.error("Failed to load video:", post.videoUrl);
+              poster={singleMedia.poster || undefined}
+              onError={() => {
+                console.error("Failed to load video:", singleVideoUrl);
               }}
             >
-              <source src={post.videoUrl} type="video/mp4" />
+              <source src={singleVideoUrl} type="video/mp4" />
               Your browser does not support the video tag.
             </video>
           )}
+
+          <ReactionBar
+            post={post}
+            currentUserId={currentUser?.uid}
+            onReactionsChanged={onPostUpdated}
+          />
+
+          {showComments && <CommentSection post={post} onPostUpdated={onPostUpdated} />}
         </>
       )}
 
+      {showReport && <ReportDialog postId={post._id} onClose={() => setShowReport(false)} />}
+
       {/* Deleting overlay */}
       {isDeleting && (
         <div 
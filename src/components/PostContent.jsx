@@ -0,0 +1,149 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { tokenizeContent, normalizeTag } from "../utils/richText";
+import { parseMarkdown, parseInline } from "../utils/markdown";
+import { buildHighlightPattern, splitHighlights } from "../utils/highlight";
+
+// Post text rendered from its Markdown subset, with #tags linked to their feed
+// and @mentions linked to profiles. Mentions the server couldn't resolve to a
+// user stay plain text. Everything is built as React elements, never HTML.
+// Words of `highlight` (a search query) are marked wherever they appear in text.
+export default function PostContent({ content, mentions = [], highlight = "", className = "" }) {
+  const uidByHandle = new Map(mentions.map(({ handle, uid }) => [handle.toLowerCase(), uid]));
+  const highlightPattern = buildHighlightPattern(highlight);
+
+  const markMatches = (value, key) => {
+    if (!highlightPattern) return value;
+    return splitHighlights(value, highlightPattern).map((part, index) =>
+      part.match ? (
+        <mark key={`${key}-m${index}`} className="bg-yellow-200 text-inherit rounded px-0.5">
+          {part.text}
+        </mark>
+      ) : (
+        part.text
+      )
+    );
+  };
+
+  // Plain text with #tags and @mentions; inside a link they can't be links themselves
+  const renderText = (value, key, inLink) => {
+    if (inLink) return markMatches(value, key);
+
+    return tokenizeContent(value).map((token, index) => {
+      const tokenKey = `${key}-${index}`;
+
+      if (token.type === "tag") {
+        return (
+          <Link
+            key={tokenKey}
+            to={`/tags/${encodeURIComponent(normalizeTag(token.value))}`}
+            className="text-blue-600 hover:underline"
+          >
+            #{token.value}
+          </Link>
+        );
+      }
+
+      const uid = token.type === "mention" && uidByHandle.get(token.value.toLowerCase());
+      if (uid) {
+        return (
+          <Link
+            key={tokenKey}
+            to={`/users/${encodeURIComponent(uid)}`}
+            className="text-blue-600 font-medium hover:underline"
+          >
+            @{token.value}
+          </Link>
+        );
+      }
+
+      return (
+        <React.Fragment key={tokenKey}>
+          {markMatches(token.type === "mention" ? `@${token.value}` : token.value, tokenKey)}
+        </React.Fragment>
+      );
+    });
+  };
+
+  const renderInline = (nodes, keyPrefix = "i", inLink = false) =>
+    nodes.map((node, index) => {
+      const key = `${keyPrefix}-${index}`;
+
+      switch (node.type) {
+        case "code":
+          return (
+            <code key={key} className="px-1 py-0.5 rounded bg-gray-100 text-[0.85em] font-mono text-pink-700">
+              {node.value}
+            </code>
+          );
+        case "strong":
+          return <strong key={key}>{renderInline(node.children, key, inLink)}</strong>;
+        case "em":
+          return <em key={key}>{renderInline(node.children, key, inLink)}</em>;
+        case "link":
+          return (
+            <a
+              key={key}
+              href={node.href}
+              target="_blank"
+              rel="noopener noreferrer nofollow"
+              className="text-blue-600 hover:underline break-all"
+            >
+              {renderInline(node.children, key, true)}
+            </a>
+          );
+        default:
+          return <React.Fragment key={key}>{renderText(node.value, key, inLink)}</React.Fragment>;
+      }
+    });
+
+  const blocks = parseMarkdown(content);
+
+  // The blank lines the author left between blocks, one line-height each
+  const spacing = (block) => (block.blankLinesBefore ? { marginTop: `${block.blankLinesBefore}lh` } : undefined);
+
+  // A post that's a single paragraph renders exactly like the old plain-text version
+  if (blocks.length === 1 && blocks[0].type === "paragraph") {
+    return (
+      <p className={`whitespace-pre-line break-words ${className}`}>
+        {renderInline(parseInline(blocks[0].text))}
+      </p>
+    );
+  }
+
+  return (
+    <div className={`break-words ${className}`}>
+      {blocks.map((block, index) => {
+        if (block.type === "code") {
+          return (
+            <pre key={index} style={spacing(block)} className="bg-gray-900 text-gray-100 text-xs rounded-xl p-3 overflow-x-auto">
+              <code className={block.lang ? `language-${block.lang}` : undefined}>{block.text}</code>
+            </pre>
+          );
+        }
+
+        if (block.type === "list") {
+          const ListTag = block.ordered ? "ol" : "ul";
+          return (
+            <ListTag
+              key={index}
+              style={spacing(block)}
+              start={block.ordered && block.start !== 1 ? block.start : undefined}
+              className={`pl-5 space-y-0.5 ${block.ordered ? "list-decimal" : "list-disc"}`}
+            >
+              {block.items.map((item, itemIndex) => (
+                <li key={itemIndex}>{renderInline(parseInline(item), `${index}-${itemIndex}`)}</li>
+              ))}
+            </ListTag>
+          );
+        }
+
+        return (
+          <p key={index} style={spacing(block)} className="whitespace-pre-line">
+            {renderInline(parseInline(block.text), `${index}`)}
+          </p>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,181 @@
+import React, { Suspense, lazy } from "react";
+import { Loader2, AlertCircle, RefreshCw, ArrowUp } from "lucide-react";
+import { PostSkeleton } from "./PostSkeleton.jsx";
+import usePostFeed from "../hooks/usePostFeed";
+
+const PostCard = lazy(() => import("./PostCard"));
+
+export default function PostFeed({
+  query,
+  acceptPost,
+  emptyTitle = "No posts yet",
+  emptyMessage = "Be the first to share something amazing!",
+}) {
+  const {
+    posts,
+    pendingPosts,
+    loading,
+    hasMore,
+    initialLoad,
+    error,
+    retryCount,
+    lastPostRef,
+    handleRetry,
+    showPendingPosts,
+    handlePostUpdated,
+    handlePostDeleted,
+  } = usePostFeed({ query, acceptPost });
+
+  // Error state
+  if (error && posts.length === 0 && !loading) {
+    return (
+      <div className="mt-6 flex justify-center">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-lg border border-gray-100 p-8 text-center">
+          <AlertCircle className="w-16 h-16 text-red-500 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">
+            Failed to Load Posts
+          </h2>
+          <p className="text-gray-600 text-sm mb-6">{error}</p>
+          <button
+            onClick={handleRetry}
+            disabled={loading}
+            className="inline-flex items-center gap-2 px-6 py-3 bg-blue-600 text-white font-semibold rounded-full hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+            {loading ? 'Retrying...' : 'Retry'}
+          </button>
+          {retryCount > 0 && (
+            <p className="text-gray-400 text-xs mt-3">
+              Retry attempt {retryCount}
+            </p>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {/* New posts pill */}
+      {pendingPosts.length > 0 && (
+        <div className="sticky top-20 z-40 flex justify-center mt-4 pointer-events-none">
+          <button
+            onClick={showPendingPosts}
+            className="pointer-events-auto inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white text-sm font-semibold rounded-full shadow-lg hover:bg-blue-700 transition-colors"
+          >
+            <ArrowUp className="w-4 h-4" aria-hidden="true" />
+            {pendingPosts.length} new {pendingPosts.length === 1 ? "post" : "posts"}, click to show
+          </button>
+        </div>
+      )}
+
+      {/* Screen reader announcement for new posts */}
+      <div className="sr-only" role="status" aria-live="polite">
+        {pendingPosts.length > 0
+          ? `${pendingPosts.length} new ${pendingPosts.length === 1 ? "post" : "posts"} available`
+          : ""}
+      </div>
+
+      {/* Posts Feed */}
+      <div className="mt-6 space-y-4">
+        {/* Empty state */}
+        {posts.length === 0 && !loading && !initialLoad && !error ? (
+          <div className="text-center py-12">
+            <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-12">
+              <div className="text-6xl mb-4" role="img" aria-label="Empty state">
+                📝
+              </div>
+              <p className="text-gray-500 text-lg font-medium">
+                {emptyTitle}
+              </p>
+              <p className="text-gray-400 text-sm mt-2">
+                {emptyMessage}
+              </p>
+            </div>
+          </div>
+        ) : (
+          <>
+            {/* Posts list */}
+            {posts.length > 0 && (
+              <Suspense fallback={<PostSkeleton />}>
+                {posts.map((post, index) => {
+                  const isLastPost = index === posts.length - 1;
+                  return (
+                    <div 
+                      key={post._id} 
+                      ref={isLastPost ? lastPostRef : null}
+                    >
+                      <PostCard 
+                        post={post}
+                        onPostUpdated={handlePostUpdated}
+                        onPostDeleted={handlePostDeleted}
+                      />
+                    </div>
+                  );
+                })}
+              </Suspense>
+            )}
+
+            {/* Loading indicator for pagination */}
+            {loading && posts.length > 0 && (
+              <div className="flex justify-center py-8">
+                <div className="bg-white rounded-full p-4 shadow-lg">
+                  <Loader2 
+                    className="w-6 h-6 animate-spin text-blue-600" 
+                    aria-label="Loading more posts"
+                  />
+                </div>
+              </div>
+            )}
+
+            {/* Initial loading skeletons */}
+            {loading && posts.length === 0 && (
+              <div className="space-y-4">
+                <PostSkeleton />
+                <PostSkeleton />
+                <PostSkeleton />
+              </div>
+            )}
+
+            {/* End of feed message */}
+            {!hasMore && posts.length > 0 && !loading && (
+              <div className="text-center py-8">
+                <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-8">
+                  <div className="text-4xl mb-3" role="img" aria-label="Celebration">
+                    🎉
+                  </div>
+                  <p className="text-gray-600 font-medium">
+                    You're all caught up!
+                  </p>
+                  <p className="text-gray-400 text-sm mt-2">
+                    Check back later for new posts
+                  </p>
+                </div>
+              </div>
+            )}
+
+            {/* Error message during pagination */}
+            {error && posts.length > 0 && (
+              <div className="text-center py-6">
+                <div className="bg-red-50 rounded-2xl border border-red-100 p-6">
+                  <AlertCircle className="w-8 h-8 text-red-500 mx-auto mb-2" />
+                  <p className="text-red-600 text-sm font-medium mb-3">
+                    Failed to load more posts
+                  </p>
+                  <button
+                    onClick={handleRetry}
+                    disabled={loading}
+                    className="inline-flex items-center gap-2 px-4 py-2 bg-red-600 text-white text-sm font-medium rounded-full hover:bg-red-700 transition-colors disabled:opacity-50"
+                  >
+                    <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+                    Try Again
+                  </button>
+                </div>
+              </div>
+            )}
+        </>
+      )}
+    </div>
+    </>
+  );
+}
@@ -1,65 +1,331 @@
-import React, { useState } from "react";
-import axios from "../api/axios";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import { auth } from "../firebase";
-import { Image, Video, X, Loader2, Sparkles } from "lucide-react";
+import { uploadMedia, createPost, isRetryableError, isUploadCanceled } from "../api/posts";
+import { queuePost } from "../outbox/outbox";
+import { createId } from "../utils/id";
+import {
+  getAutosave,
+  saveAutosave,
+  saveAutosaveMedia,
+  listDrafts,
+  saveDraft,
+  deleteDraft,
+} from "../drafts/drafts";
+import { MAX_MEDIA_ITEMS, mediaTypeOf } from "../utils/media";
+import { readVideoMetadata, getVideoLimitError } from "../utils/video";
+import { mentionsInText } from "../utils/richText";
+import { getFirstLink, getPreviewLink } from "../utils/markdown";
+import useLinkPreview from "../hooks/useLinkPreview";
+import DraftsDrawer from "./DraftsDrawer";
+import MentionTextarea from "./MentionTextarea";
+import ComposerMedia from "./ComposerMedia";
+import PostContent from "./PostContent";
+import LinkPreviewCard from "./LinkPreviewCard";
+import { Image, Video, X, Loader2, Sparkles, FileText, Save, Eye, EyeOff } from "lucide-react";
+
+// Idle time before the composer is autosaved
+const AUTOSAVE_DELAY = 800;
+
+// Idle time before the first link in the text is unfurled
+const LINK_PREVIEW_DELAY = 500;
+
+let attachmentSeq = 0;
+
+// A picked file plus the object URL used to preview it in the composer.
+// `media` is set once it's uploaded, so a retry after a failure or cancel skips it.
+// Videos also carry `posterTime`, the frame (seconds) picked as their poster.
+const toAttachment = (file) => ({
+  id: `attachment-${++attachmentSeq}`,
+  file,
+  preview: URL.createObjectURL(file),
+  media: null,
+  posterTime: null,
+});
+
+// Outbox shape: uploaded items only keep their media
+const toQueuedAttachment = ({ file, media, posterTime }) =>
+  media ? { file: null, media } : { file, media: null, posterTime };
+
+// Resolves with a message if `file` is a video over the limits, or unreadable
+const checkVideo = async (file) => {
+  if (mediaTypeOf(file) !== "video") return null;
+  try {
+    return getVideoLimitError(file.name, await readVideoMetadata(file));
+  } catch {
+    return `"${file.name}" couldn't be read. Try a different format (MP4 works best).`;
+  }
+};
+
+const revokePreviews = (attachments) => {
+  attachments.forEach(({ preview }) => URL.revokeObjectURL(preview));
+};
 
 export default function PostForm({ onPostCreated }) {
   const [content, setContent] = useState("");
-  const [file, setFile] = useState(null);
-  const [preview, setPreview] = useState("");
+  // { uid, handle } for users picked from the mention autocomplete
+  const [mentions, setMentions] = useState([]);
+  const [attachments, setAttachments] = useState([]);
   const [uploading, setUploading] = useState(false);
+  // { index, total, fraction } while media is uploading
+  const [uploadProgress, setUploadProgress] = useState(null);
   const [isFocused, setIsFocused] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+  // First link in the text, updated once typing pauses
+  const [linkUrl, setLinkUrl] = useState(null);
+  // Link whose preview card the author removed
+  const [dismissedLinkUrl, setDismissedLinkUrl] = useState(null);
+  const [drafts, setDrafts] = useState([]);
+  const [showDrafts, setShowDrafts] = useState(false);
+
+  const userId = auth.currentUser?.uid;
+  // Don't autosave until the previous draft has been restored, or we'd wipe it
+  const draftRestoredRef = useRef(false);
+  // Latest unsaved composer state, flushed on unmount
+  const unsavedRef = useRef(null);
+  // Attachments last written to the autosave, as "id:posterTime" pairs
+  const autosavedMediaKeyRef = useRef(null);
+  // Current attachments, so their previews can be revoked on unmount
+  const attachmentsRef = useRef(attachments);
+  const uploadAbortRef = useRef(null);
+
+  const hasMedia = attachments.length > 0;
+  const canSubmit = !uploading && (content.trim() || hasMedia);
+  // Posts with media show that instead of a link card
+  const activeLinkUrl = linkUrl && linkUrl !== dismissedLinkUrl && !hasMedia ? linkUrl : null;
+  const { preview: linkPreview, loading: linkPreviewLoading } = useLinkPreview(activeLinkUrl);
+  const uploadPercent = uploadProgress
+    ? Math.round(((uploadProgress.index + uploadProgress.fraction) / uploadProgress.total) * 100)
+    : 0;
+
+  const persistAutosave = useCallback((draft) => {
+    if (!userId) return;
+    saveAutosave(userId, draft).catch((err) => console.error("Error autosaving draft:", err));
+  }, [userId]);
+
+  const refreshDrafts = useCallback(async () => {
+    if (!userId) return;
+    try {
+      setDrafts(await listDrafts(userId));
+    } catch (err) {
+      console.error("Error loading drafts:", err);
+    }
+  }, [userId]);
+
+  // Load a draft into the composer, including its media previews
+  const applyDraft = useCallback((draft) => {
+    setContent(draft.content || "");
+    setMentions(draft.mentions || []);
+    setDismissedLinkUrl(draft.dismissedLinkUrl || null);
+    const posterTimes = draft.posterTimes || [];
+    const next = (draft.files || []).map((file, index) => ({
+      ...toAttachment(file),
+      posterTime: posterTimes[index] ?? null,
+    }));
+    setAttachments((prev) => {
+      revokePreviews(prev);
+      return next;
+    });
+  }, []);
 
-  const CLOUD_NAME = import.meta.env.VITE_CLOUDINARY_CLOUD_NAME;
-  const CLOUD_PRESET = import.meta.env.VITE_CLOUDINARY_UPLOAD_PRESET;
+  // Restore the autosaved draft when the composer mounts
+  useEffect(() => {
+    if (!userId) return;
+    let isMounted = true;
+
+    getAutosave(userId)
+      .then((draft) => {
+        if (isMounted && draft) applyDraft(draft);
+      })
+      .catch((err) => console.error("Error restoring draft:", err))
+      .finally(() => {
+        draftRestoredRef.current = true;
+      });
+
+    refreshDrafts();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [userId, applyDraft, refreshDrafts]);
+
+  // Debounced autosave of the text
+  useEffect(() => {
+    if (!draftRestoredRef.current) return;
+
+    const draft = {
+      content,
+      mentions: mentionsInText(content, mentions),
+      dismissedLinkUrl,
+    };
+    unsavedRef.current = draft;
+    const timer = setTimeout(() => {
+      persistAutosave(draft);
+      unsavedRef.current = null;
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [content, mentions, dismissedLinkUrl, persistAutosave]);
+
+  // Media is saved on its own, only when the files or their posters change;
+  // finishing an upload doesn't count
+  useEffect(() => {
+    if (!draftRestoredRef.current || !userId) return;
+
+    const key = attachments.map(({ id, posterTime }) => `${id}:${posterTime}`).join(",");
+    if (key === autosavedMediaKeyRef.current) return;
+    autosavedMediaKeyRef.current = key;
+
+    saveAutosaveMedia(userId, {
+      files: attachments.map((attachment) => attachment.file),
+      posterTimes: attachments.map((attachment) => attachment.posterTime),
+    }).catch((err) => console.error("Error autosaving draft media:", err));
+  }, [attachments, userId]);
+
+  // Save anything still pending when navigating away
+  useEffect(() => {
+    return () => {
+      if (unsavedRef.current) persistAutosave(unsavedRef.current);
+    };
+  }, [persistAutosave]);
 
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
-    if (!selectedFile) return;
-    setFile(selectedFile);
-    setPreview(URL.createObjectURL(selectedFile));
+  useEffect(() => {
+    const timer = setTimeout(() => setLinkUrl(getFirstLink(content)), LINK_PREVIEW_DELAY);
+    return () => clearTimeout(timer);
+  }, [content]);
+
+  useEffect(() => {
+    attachmentsRef.current = attachments;
+  }, [attachments]);
+
+  useEffect(() => {
+    return () => {
+      uploadAbortRef.current?.abort();
+      revokePreviews(attachmentsRef.current);
+    };
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const selectedFiles = Array.from(e.target.files || []);
+    // Allow picking the same file again after removing it
+    e.target.value = "";
+    if (selectedFiles.length === 0) return;
+
+    const room = MAX_MEDIA_ITEMS - attachments.length;
+    if (room <= 0) {
+      alert(`You can attach up to ${MAX_MEDIA_ITEMS} photos or videos.`);
+      return;
+    }
+
+    const problems = [];
+    if (selectedFiles.length > room) {
+      problems.push(`Only the first ${room} file(s) were added. Posts can have up to ${MAX_MEDIA_ITEMS} photos or videos.`);
+    }
+
+    const candidates = selectedFiles.slice(0, room);
+    const errors = await Promise.all(candidates.map(checkVideo));
+    problems.push(...errors.filter(Boolean));
+    if (problems.length > 0) alert(problems.join("\n"));
+
+    const added = candidates.filter((_, index) => !errors[index]).map(toAttachment);
+    if (added.length > 0) setAttachments((prev) => [...prev, ...added]);
   };
 
-  const removeFile = () => {
-    setFile(null);
-    if (preview) URL.revokeObjectURL(preview);
-    setPreview("");
+  // A new poster frame means the video has to be uploaded again
+  const setPosterTime = (id, posterTime) => {
+    setAttachments((prev) =>
+      prev.map((attachment) => (attachment.id === id ? { ...attachment, posterTime, media: null } : attachment))
+    );
   };
 
-  const uploadFile = async () => {
-    if (!file) return null;
-    setUploading(true);
+  const removeAttachment = (id) => {
+    setAttachments((prev) => {
+      revokePreviews(prev.filter((attachment) => attachment.id === id));
+      return prev.filter((attachment) => attachment.id !== id);
+    });
+  };
+
+  const moveAttachment = (from, to) => {
+    setAttachments((prev) => {
+      if (to < 0 || to >= prev.length) return prev;
+      const next = [...prev];
+      const [moved] = next.splice(from, 1);
+      next.splice(to, 0, moved);
+      return next;
+    });
+  };
+
+  const addMention = (mention) => {
+    setMentions((prev) => [...prev.filter((item) => item.handle !== mention.handle), mention]);
+  };
+
+  const resetForm = () => {
+    setContent("");
+    setMentions([]);
+    setShowPreview(false);
+    setDismissedLinkUrl(null);
+    setAttachments((prev) => {
+      revokePreviews(prev);
+      return [];
+    });
+  };
+
+  const handleSaveDraft = async () => {
+    if (!userId || (!content.trim() && !hasMedia)) return;
+
+    const name = window.prompt("Name this draft:", content.trim().slice(0, 40) || "Untitled draft");
+    if (name === null) return;
 
     try {
-      const formData = new FormData();
-      formData.append("file", file);
-      formData.append("upload_preset", CLOUD_PRESET);
-
-      const resourceType = file.type.startsWith("video/") ? "video" : "image";
-      const res = await fetch(
-        `https://api.cloudinary.com/v1_1/${CLOUD_NAME}/${resourceType}/upload`,
-        { method: "POST", body: formData }
-      );
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.error?.message || "Upload failed");
+      await saveDraft(userId, {
+        name: name.trim() || "Untitled draft",
+        content,
+        mentions: mentionsInText(content, mentions),
+        dismissedLinkUrl,
+        files: attachments.map((attachment) => attachment.file),
+        posterTimes: attachments.map((attachment) => attachment.posterTime),
+      });
+      resetForm();
+      await refreshDrafts();
+      setShowDrafts(true);
+    } catch (err) {
+      console.error("Error saving draft:", err);
+      alert("Failed to save draft. Please try again.");
+    }
+  };
 
-      setUploading(false);
-      return { url: data.secure_url, type: resourceType };
+  const handleResumeDraft = async (draft) => {
+    if ((content.trim() || hasMedia) && !window.confirm("Replace what you're writing with this draft?")) {
+      return;
+    }
+
+    applyDraft(draft);
+    setShowDrafts(false);
+
+    // The composer's autosave now holds it
+    try {
+      await deleteDraft(draft.id);
+      await refreshDrafts();
     } catch (err) {
-      console.error("Upload error:", err);
-      alert("Upload failed. Please try again.");
-      setUploading(false);
-      return null;
+      console.error("Error removing resumed draft:", err);
+    }
+  };
+
+  const handleDiscardDraft = async (draft) => {
+    if (!window.confirm(`Discard "${draft.name || "Untitled draft"}"?`)) return;
+
+    try {
+      await deleteDraft(draft.id);
+      await refreshDrafts();
+    } catch (err) {
+      console.error("Error discarding draft:", err);
     }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
 
-    let uploadedMedia = null;
-    if (file) uploadedMedia = await uploadFile();
-
-    if (!content.trim() && !uploadedMedia) {
+    const trimmedContent = content.trim();
+    if (!trimmedContent && !hasMedia) {
       alert("Please add text or upload media");
       return;
     }
@@ -70,32 +336,98 @@ export default function PostForm({ onPostCreated }) {
       return;
     }
 
-    const postData = {
+    // Same key for the first attempt and every retry from the outbox
+    const idempotencyKey = createId();
+    const queued = {
+      id: idempotencyKey,
       userId: currentUser.uid,
-      content: content.trim(),
-      mediaType: uploadedMedia ? uploadedMedia.type : "text",
-      imageUrl:
-        uploadedMedia && uploadedMedia.type === "image" ? uploadedMedia.url : null,
-      videoUrl:
-        uploadedMedia && uploadedMedia.type === "video" ? uploadedMedia.url : null,
+      content: trimmedContent,
+      mentions: mentionsInText(trimmedContent, mentions),
+      dismissedLinkUrl,
     };
 
+    // Offline: straight to the outbox, it's sent once we're back
+    if (!navigator.onLine) {
+      try {
+        await queuePost({ ...queued, attachments: attachments.map(toQueuedAttachment) });
+        resetForm();
+      } catch (err) {
+        console.error("Error queueing post:", err);
+        alert("Failed to save post for later. Please try again.");
+      }
+      return;
+    }
+
+    setUploading(true);
+    const controller = new AbortController();
+    uploadAbortRef.current = controller;
+    const current = attachments.map((attachment) => ({ ...attachment }));
+
     try {
-      const token = localStorage.getItem("authToken");
-      await axios.post("/posts", postData, {
-        headers: { Authorization: `Bearer ${token}` },
+      // One at a time, in the order the author arranged them
+      for (const [index, attachment] of current.entries()) {
+        if (attachment.media) continue;
+
+        setUploadProgress({ index, total: current.length, fraction: 0 });
+        attachment.media = await uploadMedia(attachment.file, {
+          posterTime: attachment.posterTime,
+          signal: controller.signal,
+          onProgress: (fraction) => setUploadProgress({ index, total: current.length, fraction }),
+        });
+        setAttachments((prev) =>
+          prev.map((item) => (item.id === attachment.id ? { ...item, media: attachment.media } : item))
+        );
+      }
+      setUploadProgress(null);
+      uploadAbortRef.current = null;
+
+      await createPost({
+        userId: currentUser.uid,
+        content: trimmedContent,
+        mentions: queued.mentions,
+        linkPreviewUrl: getPreviewLink(trimmedContent, dismissedLinkUrl),
+        dismissedLinkUrl,
+        media: current.map((attachment) => attachment.media),
+        idempotencyKey,
       });
 
-      setContent("");
-      setFile(null);
-      setPreview("");
+      resetForm();
       if (onPostCreated) onPostCreated();
     } catch (err) {
+      // Cancelled by the author: keep everything, finished uploads included
+      if (isUploadCanceled(err)) return;
+
       console.error("Error creating post:", err);
-      alert("Failed to create post. Please try again.");
+
+      if (!isRetryableError(err)) {
+        alert(err.response?.data?.message || err.message || "Failed to create post. Please try again.");
+        return;
+      }
+
+      // Flaky network or server trouble: keep the post and retry in the background.
+      // Whatever already uploaded isn't uploaded again.
+      try {
+        await queuePost({
+          ...queued,
+          attachments: current.map(toQueuedAttachment),
+          lastError: err.message,
+        });
+        resetForm();
+      } catch (queueErr) {
+        console.error("Error queueing post:", queueErr);
+        alert("Failed to create post. Please try again.");
+      }
+    } finally {
+      uploadAbortRef.current = null;
+      setUploadProgress(null);
+      setUploading(false);
     }
   };
 
+  const handleCancelUpload = () => {
+    uploadAbortRef.current?.abort();
+  };
+
   return (
     <div className="w-full max-w-2xl mx-auto">
       {/* Animated Background Gradient */}
@@ -119,16 +451,27 @@ export default function PostForm({ onPostCreated }) {
 
               {/* Text Area */}
               <div className="flex-1 min-w-0">
-                <textarea
-                  className="w-full border-none resize-none focus:outline-none text-gray-800 placeholder-gray-400 text-base sm:text-lg leading-relaxed bg-transparent font-light"
-                  placeholder="Share something amazing..."
-                  value={content}
-                  onChange={(e) => setContent(e.target.value)}
-                  onFocus={() => setIsFocused(true)}
-                  onBlur={() => setIsFocused(false)}
-                  rows={3}
-                  disabled={uploading}
-                />
+                {showPreview ? (
+                  <div className="min-h-[5.5rem] text-gray-800 text-base sm:text-lg leading-relaxed font-light" aria-label="Post preview">
+                    {content.trim() ? (
+                      <PostContent content={content} mentions={mentionsInText(content, mentions)} />
+                    ) : (
+                      <p className="text-gray-400">Nothing to preview</p>
+                    )}
+                  </div>
+                ) : (
+                  <MentionTextarea
+                    className="w-full border-none resize-none focus:outline-none text-gray-800 placeholder-gray-400 text-base sm:text-lg leading-relaxed bg-transparent font-light"
+                    placeholder="Share something amazing..."
+                    value={content}
+                    onChange={setContent}
+                    onMention={addMention}
+                    onFocus={() => setIsFocused(true)}
+                    onBlur={() => setIsFocused(false)}
+                    rows={3}
+                    disabled={uploading}
+                  />
+                )}
                 {content.length > 0 && (
                   <div className="flex items-center gap-2 mt-2 text-xs text-gray-400">
                     <Sparkles size={12} className="text-purple-400" />
@@ -138,34 +481,58 @@ export default function PostForm({ onPostCreated }) {
               </div>
             </div>
 
+            {/* Link preview, removable before posting */}
+            {activeLinkUrl && (
+              <LinkPreviewCard
+                preview={linkPreview}
+                loading={linkPreviewLoading}
+                onRemove={() => setDismissedLinkUrl(activeLinkUrl)}
+              />
+            )}
+
             {/* Media Preview with glassmorphism */}
-            {preview && (
-              <div className="relative mt-5 rounded-2xl overflow-hidden group">
-                <div className="absolute inset-0 bg-gradient-to-br from-blue-500/5 to-purple-500/5"></div>
-                {file?.type.startsWith("image/") ? (
-                  <img
-                    src={preview}
-                    alt="preview"
-                    className="w-full h-auto max-h-96 sm:max-h-[500px] object-cover rounded-2xl"
-                  />
-                ) : (
-                  <video
-                    src={preview}
-                    controls
-                    className="w-full h-auto max-h-96 sm:max-h-[500px] rounded-2xl"
-                  />
-                )}
-                {/* Remove button with backdrop */}
-                <button
-                  type="button"
-                  onClick={removeFile}
-                  className="absolute top-3 right-3 bg-white/90 backdrop-blur-md rounded-full p-2.5 shadow-lg hover:bg-red-50 transition-all duration-200 group-hover:scale-110"
-                  aria-label="Remove media"
+            {hasMedia && (
+              <ComposerMedia
+                attachments={attachments}
+                onRemove={removeAttachment}
+                onMove={moveAttachment}
+                onPosterTimeChange={setPosterTime}
+                disabled={uploading}
+              />
+            )}
+
+            {/* Upload progress */}
+            {uploadProgress && (
+              <div className="mt-4">
+                <div className="flex items-center justify-between gap-3 mb-1.5 text-xs text-gray-600">
+                  <span>
+                    {uploadProgress.total > 1
+                      ? `Uploading ${uploadProgress.index + 1} of ${uploadProgress.total}...`
+                      : "Uploading..."}{" "}
+                    {uploadPercent}%
+                  </span>
+                  <button
+                    type="button"
+                    onClick={handleCancelUpload}
+                    className="flex items-center gap-1 px-2 py-1 rounded-lg text-red-600 hover:bg-red-50 font-medium transition-colors"
+                  >
+                    <X size={14} />
+                    Cancel
+                  </button>
+                </div>
+                <div
+                  className="h-2 rounded-full bg-gray-100 overflow-hidden"
+                  role="progressbar"
+                  aria-label="Upload progress"
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={uploadPercent}
                 >
-                  <X size={18} className="text-gray-700 hover:text-red-600 transition-colors" />
-                </button>
-                {/* Overlay gradient on hover */}
-                <div className="absolute inset-0 bg-gradient-to-t from-black/20 to-transparent opacity-0 group-hover:opacity-100 transition-opacity duration-300 rounded-2xl pointer-events-none"></div>
+                  <div
+                    className="h-full bg-gradient-to-r from-blue-600 to-purple-600 transition-[width] duration-200"
+                    style={{ width: `${uploadPercent}%` }}
+                  />
+                </div>
               </div>
             )}
           </div>
@@ -177,7 +544,7 @@ export default function PostForm({ onPostCreated }) {
           <div className="p-4 sm:p-6 bg-gradient-to-br from-gray-50/50 to-transparent backdrop-blur-sm">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
               {/* Media Upload Buttons */}
-              <div className="flex items-center gap-2">
+              <div className="flex flex-wrap items-center gap-2">
                 <label className="relative cursor-pointer flex items-center gap-2.5 px-4 py-2.5 rounded-xl hover:bg-white/80 text-gray-700 text-sm font-medium transition-all duration-200 group overflow-hidden">
                   <div className="absolute inset-0 bg-gradient-to-r from-green-500/0 to-green-500/0 group-hover:from-green-500/10 group-hover:to-emerald-500/10 transition-all duration-300"></div>
                   <Image size={20} className="text-green-600 group-hover:scale-110 transition-transform relative z-10" />
@@ -185,9 +552,10 @@ export default function PostForm({ onPostCreated }) {
                   <input
                     type="file"
                     accept="image/*"
+                    multiple
                     className="hidden"
                     onChange={handleFileChange}
-                    disabled={uploading}
+                    disabled={uploading || attachments.length >= MAX_MEDIA_ITEMS}
                   />
                 </label>
                 
@@ -198,32 +566,76 @@ export default function PostForm({ onPostCreated }) {
                   <input
                     type="file"
                     accept="video/*"
+                    multiple
                     className="hidden"
                     onChange={handleFileChange}
-                    disabled={uploading}
+                    disabled={uploading || attachments.length >= MAX_MEDIA_ITEMS}
                   />
                 </label>
+
+                {(content.trim() || showPreview) && (
+                  <button
+                    type="button"
+                    onClick={() => setShowPreview(!showPreview)}
+                    className="flex items-center gap-2 px-3 py-2.5 rounded-xl hover:bg-white/80 text-gray-700 text-sm font-medium transition-colors"
+                    aria-pressed={showPreview}
+                  >
+                    {showPreview ? (
+                      <EyeOff size={18} className="text-indigo-600" />
+                    ) : (
+                      <Eye size={18} className="text-indigo-600" />
+                    )}
+                    <span>{showPreview ? "Write" : "Preview"}</span>
+                  </button>
+                )}
+
+                <button
+                  type="button"
+                  onClick={() => setShowDrafts(!showDrafts)}
+                  className="relative flex items-center gap-2 px-3 py-2.5 rounded-xl hover:bg-white/80 text-gray-700 text-sm font-medium transition-colors"
+                  aria-expanded={showDrafts}
+                >
+                  <FileText size={18} className="text-blue-600" />
+                  <span>Drafts</span>
+                  {drafts.length > 0 && (
+                    <span className="min-w-5 h-5 px-1.5 rounded-full bg-blue-100 text-blue-700 text-xs font-semibold flex items-center justify-center">
+                      {drafts.length}
+                    </span>
+                  )}
+                </button>
+
+                {(content.trim() || hasMedia) && (
+                  <button
+                    type="button"
+                    onClick={handleSaveDraft}
+                    disabled={uploading}
+                    className="flex items-center gap-2 px-3 py-2.5 rounded-xl hover:bg-white/80 text-gray-700 text-sm font-medium transition-colors disabled:opacity-50"
+                  >
+                    <Save size={18} className="text-purple-600" />
+                    <span>Save draft</span>
+                  </button>
+                )}
               </div>
 
               {/* Post Button with animated gradient */}
               <button
                 type="submit"
                 onClick={handleSubmit}
-                disabled={uploading || (!content.trim() && !file)}
+                disabled={!canSubmit}
                 className={`relative w-full sm:w-auto px-8 py-3 rounded-xl font-semibold text-sm overflow-hidden transition-all duration-300 group ${
-                  uploading || (!content.trim() && !file)
+                  !canSubmit
                     ? "bg-gray-200 text-gray-400 cursor-not-allowed"
                     : "bg-gradient-to-r from-blue-600 via-blue-700 to-purple-600 text-white shadow-lg hover:shadow-xl active:scale-95"
                 }`}
               >
-                {!uploading && !(uploading || (!content.trim() && !file)) && (
+                {canSubmit && (
                   <div className="absolute inset-0 bg-gradient-to-r from-purple-600 via-pink-600 to-blue-600 opacity-0 group-hover:opacity-100 transition-opacity duration-500"></div>
                 )}
                 <span className="relative flex items-center justify-center gap-2">
                   {uploading ? (
                     <>
                       <Loader2 size={18} className="animate-spin" />
-                      <span>Uploading...</span>
+                      <span>{uploadProgress ? "Uploading..." : "Posting..."}</span>
                     </>
                   ) : (
                     <>
@@ -233,12 +645,22 @@ export default function PostForm({ onPostCreated }) {
                   )}
                 </span>
                 {/* Shine effect */}
-                {!uploading && !(uploading || (!content.trim() && !file)) && (
+                {canSubmit && (
                   <div className="absolute inset-0 translate-x-[-100%] group-hover:translate-x-[100%] transition-transform duration-1000 bg-gradient-to-r from-transparent via-white/20 to-transparent skew-x-12"></div>
                 )}
               </button>
             </div>
           </div>
+
+          {/* Saved drafts */}
+          {showDrafts && (
+            <DraftsDrawer
+              drafts={drafts}
+              onResume={handleResumeDraft}
+              onDiscard={handleDiscardDraft}
+              onClose={() => setShowDrafts(false)}
+            />
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,63 @@
+import React, { useState, useRef } from "react";
+import { defaultPosterTime, formatDuration } from "../utils/video";
+
+// Scrubber for choosing which frame of a video is used as its poster
+export default function PosterPicker({ attachment, onChange, onDone, disabled }) {
+  const [duration, setDuration] = useState(0);
+  const [time, setTime] = useState(attachment.posterTime ?? 0);
+  const videoRef = useRef(null);
+
+  const handleLoadedMetadata = () => {
+    const video = videoRef.current;
+    const start = attachment.posterTime ?? defaultPosterTime(video.duration);
+    setDuration(Number.isFinite(video.duration) ? video.duration : 0);
+    setTime(start);
+    video.currentTime = start;
+  };
+
+  const handleScrub = (e) => {
+    const next = Number(e.target.value);
+    setTime(next);
+    if (videoRef.current) videoRef.current.currentTime = next;
+    onChange(attachment.id, next);
+  };
+
+  return (
+    <div className="mt-3 flex items-center gap-3 p-3 rounded-2xl border border-gray-100 bg-white/70">
+      <video
+        ref={videoRef}
+        src={attachment.preview}
+        muted
+        playsInline
+        preload="auto"
+        className="w-24 h-16 rounded-lg object-cover bg-black flex-shrink-0"
+        onLoadedMetadata={handleLoadedMetadata}
+        aria-hidden="true"
+      />
+      <div className="flex-1 min-w-0">
+        <label htmlFor={`poster-${attachment.id}`} className="block text-xs font-medium text-gray-700 mb-1">
+          Cover frame
+          <span className="ml-2 text-gray-400 font-normal">{formatDuration(time)}</span>
+        </label>
+        <input
+          id={`poster-${attachment.id}`}
+          type="range"
+          min={0}
+          max={duration || 0}
+          step={0.1}
+          value={time}
+          onChange={handleScrub}
+          disabled={disabled || !duration}
+          className="w-full accent-blue-600"
+        />
+      </div>
+      <button
+        type="button"
+        onClick={onDone}
+        className="px-3 py-1.5 text-xs font-medium text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+      >
+        Done
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useState, useRef, useEffect } from "react";
+import { ThumbsUp, SmilePlus } from "lucide-react";
+import axios from "../api/axios";
+
+// "like" gets the dedicated button; the rest live in the emoji picker
+const REACTIONS = [
+  { type: "like", emoji: "👍", label: "Like" },
+  { type: "love", emoji: "❤️", label: "Love" },
+  { type: "laugh", emoji: "😂", label: "Haha" },
+  { type: "wow", emoji: "😮", label: "Wow" },
+  { type: "sad", emoji: "😢", label: "Sad" },
+  { type: "celebrate", emoji: "🎉", label: "Celebrate" },
+];
+
+// post.reactions maps a reaction type to the uids of users who reacted
+const toggleReaction = (reactions, type, uid) => {
+  const users = reactions[type] || [];
+  const nextUsers = users.includes(uid) ? users.filter((id) => id !== uid) : [...users, uid];
+  return { ...reactions, [type]: nextUsers };
+};
+
+export default function ReactionBar({ post, currentUserId, onReactionsChanged }) {
+  // Optimistic reactions while a toggle is in flight; null means use the post's own
+  const [optimistic, setOptimistic] = useState(null);
+  // Without onReactionsChanged, the server's reactions after our last toggle.
+  // They only apply until the post prop brings newer ones.
+  const [confirmed, setConfirmed] = useState(null);
+  const [pending, setPending] = useState(false);
+  const [showPicker, setShowPicker] = useState(false);
+  const pickerRef = useRef(null);
+
+  const ownReactions =
+    confirmed && confirmed.basedOn === post.reactions ? confirmed.reactions : post.reactions;
+  const reactions = optimistic || ownReactions || {};
+  const hasReacted = (type) => Boolean(currentUserId && reactions[type]?.includes(currentUserId));
+  const activeReactions = REACTIONS.filter(({ type }) => reactions[type]?.length > 0);
+
+  // Close picker when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (pickerRef.current && !pickerRef.current.contains(event.target)) {
+        setShowPicker(false);
+      }
+    };
+
+    if (showPicker) {
+      document.addEventListener("mousedown", handleClickOutside);
+      return () => document.removeEventListener("mousedown", handleClickOutside);
+    }
+  }, [showPicker]);
+
+  const handleToggle = async (type) => {
+    if (!currentUserId || pending) return;
+
+    setShowPicker(false);
+    setPending(true);
+    setOptimistic(toggleReaction(reactions, type, currentUserId));
+
+    try {
+      const res = await axios.post(`/posts/${post._id}/reactions`, { type }, { timeout: 10000 });
+      const serverReactions = res.data.reactions || {};
+      if (onReactionsChanged) {
+        onReactionsChanged({ ...post, reactions: serverReactions });
+      } else {
+        setConfirmed({ reactions: serverReactions, basedOn: post.reactions });
+      }
+    } catch (err) {
+      console.error("Failed to update reaction:", err);
+      const errorMessage = err.response?.data?.message || err.message || "Failed to update reaction";
+      alert(errorMessage);
+    } finally {
+      // The server's reactions are held by the parent or `confirmed`; on failure we roll back
+      setOptimistic(null);
+      setPending(false);
+    }
+  };
+
+  return (
+    <div className="mt-3 pt-3 border-t border-gray-100">
+      {/* Per-reaction counts */}
+      {activeReactions.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mb-2">
+          {activeReactions.map(({ type, emoji, label }) => (
+            <button
+              key={type}
+              onClick={() => handleToggle(type)}
+              disabled={pending}
+              className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs border transition-colors disabled:cursor-not-allowed ${
+                hasReacted(type)
+                  ? "bg-blue-50 border-blue-200 text-blue-700"
+                  : "bg-gray-50 border-gray-200 text-gray-600 hover:bg-gray-100"
+              }`}
+              aria-pressed={hasReacted(type)}
+              aria-label={`${label}: ${reactions[type].length}`}
+            >
+              <span aria-hidden="true">{emoji}</span>
+              {reactions[type].length}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center gap-1">
+        <button
+          onClick={() => handleToggle("like")}
+          disabled={pending}
+          className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors disabled:cursor-not-allowed ${
+            hasReacted("like") ? "text-blue-600 bg-blue-50" : "text-gray-600 hover:bg-gray-50"
+          }`}
+          aria-pressed={hasReacted("like")}
+        >
+          <ThumbsUp size={16} className={hasReacted("like") ? "fill-current" : ""} />
+          Like
+        </button>
+
+        <div className="relative" ref={pickerRef}>
+          <button
+            onClick={() => setShowPicker(!showPicker)}
+            disabled={pending}
+            className="p-2 rounded-lg text-gray-500 hover:text-blue-600 hover:bg-gray-50 transition-colors disabled:cursor-not-allowed"
+            aria-label="Add reaction"
+            aria-expanded={showPicker}
+          >
+            <SmilePlus size={16} />
+          </button>
+
+          {showPicker && (
+            <div
+              className="absolute left-0 bottom-10 flex gap-1 bg-white shadow-lg rounded-full border border-gray-200 px-2 py-1 z-20"
+              role="menu"
+            >
+              {REACTIONS.filter(({ type }) => type !== "like").map(({ type, emoji, label }) => (
+                <button
+                  key={type}
+                  onClick={() => handleToggle(type)}
+                  className={`text-xl p-1 rounded-full hover:scale-125 transition-transform ${
+                    hasReacted(type) ? "bg-blue-50" : ""
+                  }`}
+                  role="menuitem"
+                  aria-label={label}
+                  title={label}
+                >
+                  {emoji}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,147 @@
+import React, { useState, useEffect } from "react";
+import { Flag, Loader2, X } from "lucide-react";
+import { reportPost, REPORT_REASONS } from "../api/moderation";
+
+const MAX_NOTE_LENGTH = 500;
+
+export default function ReportDialog({ postId, onClose }) {
+  const [reason, setReason] = useState(null);
+  const [note, setNote] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const handleEscape = (e) => {
+      if (e.key === "Escape" && !submitting) onClose();
+    };
+    document.addEventListener("keydown", handleEscape);
+    return () => document.removeEventListener("keydown", handleEscape);
+  }, [onClose, submitting]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason || submitting) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await reportPost(postId, { reason, note: note.trim() });
+      setSubmitted(true);
+    } catch (err) {
+      console.error("Failed to report post:", err);
+      // 409: already reported by this user, which is as good as done
+      if (err.response?.status === 409) {
+        setSubmitted(true);
+      } else {
+        setError(err.response?.data?.message || err.message || "Failed to send report");
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget && !submitting) onClose();
+      }}
+    >
+      <div
+        className="w-full max-w-md bg-white rounded-2xl shadow-xl p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="report-dialog-title"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="report-dialog-title" className="text-lg font-semibold text-gray-900 flex items-center gap-2">
+            <Flag size={18} className="text-red-600" />
+            Report post
+          </h2>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-full text-gray-500 hover:bg-gray-100 transition-colors"
+            aria-label="Close"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        {submitted ? (
+          <div className="text-center py-4">
+            <p className="text-gray-800 font-medium">Thanks for letting us know.</p>
+            <p className="text-gray-500 text-sm mt-1">A moderator will review this post.</p>
+            <button
+              onClick={onClose}
+              className="mt-5 px-6 py-2 bg-blue-600 text-white font-semibold rounded-full hover:bg-blue-700 transition-colors"
+            >
+              Done
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <fieldset>
+              <legend className="text-sm text-gray-600 mb-2">Why are you reporting this post?</legend>
+              <div className="space-y-1">
+                {REPORT_REASONS.map((option) => (
+                  <label
+                    key={option.id}
+                    className={`flex items-center gap-3 px-3 py-2 rounded-lg cursor-pointer text-sm transition-colors ${
+                      reason === option.id ? "bg-red-50 text-red-700" : "hover:bg-gray-50 text-gray-800"
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="report-reason"
+                      value={option.id}
+                      checked={reason === option.id}
+                      onChange={() => setReason(option.id)}
+                      className="accent-red-600"
+                    />
+                    {option.label}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+
+            <div>
+              <label htmlFor="report-note" className="text-sm text-gray-600">
+                Anything else moderators should know? <span className="text-gray-400">(optional)</span>
+              </label>
+              <textarea
+                id="report-note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                className="mt-1 w-full border border-gray-200 rounded-xl px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+                rows={3}
+                maxLength={MAX_NOTE_LENGTH}
+              />
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={submitting}
+                className="px-4 py-2 text-sm text-gray-600 rounded-full hover:bg-gray-100 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={!reason || submitting}
+                className="inline-flex items-center gap-2 px-5 py-2 text-sm bg-red-600 text-white font-semibold rounded-full hover:bg-red-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {submitting && <Loader2 size={14} className="animate-spin" />}
+                Report
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useState, useEffect } from "react";
+import { useNavigate, useLocation, useSearchParams } from "react-router-dom";
+import { Search, X } from "lucide-react";
+
+// Idle time before what's typed becomes a search
+const SEARCH_DELAY = 400;
+
+// Keeps the other params (e.g. the active tab) when already searching
+const searchPath = (query, currentParams) => {
+  const params = new URLSearchParams(currentParams);
+  params.set("q", query);
+  return `/search?${params}`;
+};
+
+// Search input that keeps the query in the /search URL, so results can be
+// shared and back/forward walks through earlier searches
+export default function SearchBox({ className = "" }) {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [searchParams] = useSearchParams();
+
+  const onSearchPage = location.pathname === "/search";
+  const urlQuery = onSearchPage ? searchParams.get("q") || "" : "";
+  const [value, setValue] = useState(urlQuery);
+
+  // Follow the URL (back/forward, shared links) unless it already matches
+  useEffect(() => {
+    setValue((prev) => (prev.trim() === urlQuery ? prev : urlQuery));
+  }, [urlQuery]);
+
+  useEffect(() => {
+    const query = value.trim();
+    if (query === urlQuery || (!query && !onSearchPage)) return;
+
+    const timer = setTimeout(() => {
+      navigate(searchPath(query, onSearchPage ? searchParams : undefined));
+    }, SEARCH_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [value, urlQuery, onSearchPage, searchParams, navigate]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const query = value.trim();
+    if (query && query !== urlQuery) {
+      navigate(searchPath(query, onSearchPage ? searchParams : undefined));
+    }
+  };
+
+  return (
+    <form role="search" onSubmit={handleSubmit} className={`relative ${className}`}>
+      <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400 pointer-events-none" />
+      <input
+        type="search"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === "Escape") e.currentTarget.blur();
+        }}
+        placeholder="Search posts and people"
+        className="w-full pl-9 pr-9 py-2 rounded-full bg-white/90 text-sm text-gray-800 placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-white [&::-webkit-search-cancel-button]:hidden"
+        aria-label="Search posts and people"
+      />
+      {value && (
+        <button
+          type="button"
+          onClick={() => setValue("")}
+          className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded-full text-gray-400 hover:text-gray-600"
+          aria-label="Clear search"
+        >
+          <X size={14} />
+        </button>
+      )}
+    </form>
+  );
+}
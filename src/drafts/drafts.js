@@ -0,0 +1,86 @@
+import { idbGetAll, idbGet, idbPut, idbDelete } from "../utils/idb";
+import { createId } from "../utils/id";
+
+// Composer drafts, per user, in IndexedDB so attached media survives too.
+// Each user has one autosave slot plus any number of named drafts.
+//
+// Draft: { id, userId, name, content, mentions, dismissedLinkUrl, files, posterTimes, updatedAt, autosave }
+//   posterTimes - per file, the video frame (seconds) picked as its poster, or null
+//
+// The autosave slot keeps its text and its media in separate records, so
+// saving after every pause in typing doesn't rewrite the attached files.
+
+const STORE = "drafts";
+
+const autosaveId = (userId) => `autosave:${userId}`;
+const autosaveMediaId = (userId) => `autosave-media:${userId}`;
+
+export const getAutosave = async (userId) => {
+  const [text, media] = await Promise.all([
+    idbGet(STORE, autosaveId(userId)),
+    idbGet(STORE, autosaveMediaId(userId)),
+  ]);
+  if (!text && !media) return null;
+
+  return {
+    content: "",
+    mentions: [],
+    dismissedLinkUrl: null,
+    ...text,
+    files: media?.files || [],
+    posterTimes: media?.posterTimes || [],
+  };
+};
+
+// Blank text clears the slot's text record
+export const saveAutosave = (userId, { content, mentions, dismissedLinkUrl }) => {
+  if (!content.trim()) return idbDelete(STORE, autosaveId(userId));
+
+  return idbPut(STORE, {
+    id: autosaveId(userId),
+    userId,
+    name: null,
+    content,
+    mentions,
+    dismissedLinkUrl,
+    updatedAt: new Date().toISOString(),
+    autosave: true,
+  });
+};
+
+// No files clears the slot's media record
+export const saveAutosaveMedia = (userId, { files, posterTimes }) => {
+  if (files.length === 0) return idbDelete(STORE, autosaveMediaId(userId));
+
+  return idbPut(STORE, {
+    id: autosaveMediaId(userId),
+    userId,
+    files,
+    posterTimes,
+    updatedAt: new Date().toISOString(),
+    autosave: true,
+  });
+};
+
+export const listDrafts = async (userId) => {
+  const drafts = await idbGetAll(STORE);
+  return drafts
+    .filter((draft) => draft.userId === userId && !draft.autosave)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+};
+
+export const saveDraft = (userId, { name, content, mentions, dismissedLinkUrl, files, posterTimes }) =>
+  idbPut(STORE, {
+    id: createId(),
+    userId,
+    name,
+    content,
+    mentions,
+    dismissedLinkUrl,
+    files,
+    posterTimes,
+    updatedAt: new Date().toISOString(),
+    autosave: false,
+  });
+
+export const deleteDraft = (id) => idbDelete(STORE, id);
@@ -1,5 +1,27 @@
 import { initializeApp } from 'firebase/app';
-import { getAuth, GoogleAuthProvider, signInWithPopup } from 'firebase/auth';
+import {
+  getAuth,
+  GoogleAuthProvider,
+  GithubAuthProvider,
+  EmailAuthProvider,
+  OAuthCredential,
+  signInWithPopup,
+  signInWithRedirect,
+  getRedirectResult,
+  linkWithPopup,
+  linkWithRedirect,
+  linkWithCredential,
+  unlink,
+  createUserWithEmailAndPassword,
+  signInWithEmailAndPassword,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  updateProfile,
+  onAuthStateChanged,
+} from 'firebase/auth';
 
 // Firebase config using env variables
 const firebaseConfig = {
@@ -24,18 +46,187 @@ const firebaseConfig = {
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const provider = new GoogleAuthProvider();
+
+export const PROVIDER_IDS = Object.freeze({
+  GOOGLE: 'google.com',
+  GITHUB: 'github.com',
+  PASSWORD: 'password',
+});
+
+const oauthProviders = {
+  [PROVIDER_IDS.GOOGLE]: { create: () => new GoogleAuthProvider(), from: GoogleAuthProvider },
+  [PROVIDER_IDS.GITHUB]: {
+    create: () => {
+      const provider = new GithubAuthProvider();
+      provider.addScope('user:email');
+      return provider;
+    },
+    from: GithubAuthProvider,
+  },
+};
+
+// Popups can't open here; the same flow works as a full-page redirect instead
+const POPUP_UNAVAILABLE = new Set([
+  'auth/popup-blocked',
+  'auth/operation-not-supported-in-environment',
+  'auth/web-storage-unsupported',
+]);
+
+const EMAIL_FOR_SIGN_IN_KEY = 'emailForSignIn';
+const PENDING_LINK_KEY = 'pendingCredentialLink';
+// Provider of a redirect sign-in in progress, needed to read its errors
+const REDIRECT_PROVIDER_KEY = 'redirectProvider';
+
+// Signing in with a provider whose email already belongs to an account using
+// a different method fails with auth/account-exists-with-different-credential.
+// The new credential is kept (in sessionStorage, so redirect flows survive)
+// and linked as soon as the user signs in with their existing method.
+const savePendingLink = (error, providerId) => {
+  const credential = oauthProviders[providerId]?.from.credentialFromError(error);
+  if (!credential) return;
+
+  sessionStorage.setItem(
+    PENDING_LINK_KEY,
+    JSON.stringify({ email: error.customData?.email || null, credential: credential.toJSON() })
+  );
+};
+
+// { email, providerId } of a credential waiting to be linked, or null
+export const getPendingLink = () => {
+  try {
+    const pending = JSON.parse(sessionStorage.getItem(PENDING_LINK_KEY));
+    return pending ? { email: pending.email, providerId: pending.credential?.providerId } : null;
+  } catch {
+    return null;
+  }
+};
+
+export const clearPendingLink = () => sessionStorage.removeItem(PENDING_LINK_KEY);
+
+const linkPendingCredential = async (user) => {
+  const raw = sessionStorage.getItem(PENDING_LINK_KEY);
+  if (!raw) return;
+  clearPendingLink();
+
+  try {
+    const pending = JSON.parse(raw);
+    // Only onto the account the conflict was about
+    if (pending.email && pending.email.toLowerCase() !== user.email?.toLowerCase()) return;
+
+    const credential = OAuthCredential.fromJSON(pending.credential);
+    if (credential) await linkWithCredential(user, credential);
+  } catch (error) {
+    // Signing in still worked; the provider can be linked from the profile
+    console.error('Failed to link pending credential:', error);
+  }
+};
+
+// Whatever method the user signs in with next, including redirects that
+// complete before any page code runs
+onAuthStateChanged(auth, (user) => {
+  if (user) linkPendingCredential(user);
+});
+
+const completeSignIn = async (result) => ({ user: result.user, token: await result.user.getIdToken() });
+
+const handleSignInError = (error, providerId) => {
+  if (error.code === 'auth/account-exists-with-different-credential') savePendingLink(error, providerId);
+  throw error;
+};
+
+// Popup sign-in that falls back to a redirect. Resolves with { user, token },
+// or null when the page is about to navigate away for the redirect.
+export const signInWithProvider = async (providerId) => {
+  const provider = oauthProviders[providerId].create();
+
+  try {
+    return await completeSignIn(await signInWithPopup(auth, provider));
+  } catch (error) {
+    if (POPUP_UNAVAILABLE.has(error.code)) {
+      sessionStorage.setItem(REDIRECT_PROVIDER_KEY, providerId);
+      await signInWithRedirect(auth, provider);
+      return null;
+    }
+    return handleSignInError(error, providerId);
+  }
+};
 
 // Google Sign-In function
-export const signInWithGoogle = async () => {
+export const signInWithGoogle = () => signInWithProvider(PROVIDER_IDS.GOOGLE);
+
+export const signInWithGithub = () => signInWithProvider(PROVIDER_IDS.GITHUB);
+
+// Finishes a redirect sign-in or link after coming back to the app; resolves
+// with { user, token } or null if there was none
+export const completeRedirectSignIn = async () => {
+  const providerId = sessionStorage.getItem(REDIRECT_PROVIDER_KEY);
+  sessionStorage.removeItem(REDIRECT_PROVIDER_KEY);
+
+  try {
+    const result = await getRedirectResult(auth);
+    return result ? await completeSignIn(result) : null;
+  } catch (error) {
+    return handleSignInError(error, providerId);
+  }
+};
+
+export const signUpWithEmail = async ({ email, password, displayName }) => {
+  const result = await createUserWithEmailAndPassword(auth, email, password);
+  if (displayName) await updateProfile(result.user, { displayName });
+  sendEmailVerification(result.user).catch((error) =>
+    console.error('Failed to send verification email:', error)
+  );
+  return completeSignIn(result);
+};
+
+export const signInWithEmail = async ({ email, password }) =>
+  completeSignIn(await signInWithEmailAndPassword(auth, email, password));
+
+export const sendPasswordReset = (email) =>
+  sendPasswordResetEmail(auth, email, { url: `${window.location.origin}/login` });
+
+// Passwordless sign-in. The link opens `continuePath` (a /login URL) in this
+// app; the email is remembered so the user needn't type it again.
+export const sendEmailSignInLink = async (email, continuePath = '/login') => {
+  await sendSignInLinkToEmail(auth, email, {
+    url: `${window.location.origin}${continuePath}`,
+    handleCodeInApp: true,
+  });
+  localStorage.setItem(EMAIL_FOR_SIGN_IN_KEY, email);
+};
+
+export const isEmailSignInLink = (href = window.location.href) => isSignInWithEmailLink(auth, href);
+
+// Email the link was sent to from this browser, if any
+export const getEmailForSignIn = () => localStorage.getItem(EMAIL_FOR_SIGN_IN_KEY);
+
+export const completeEmailLinkSignIn = async (email, href = window.location.href) => {
+  const result = await signInWithEmailLink(auth, email, href);
+  localStorage.removeItem(EMAIL_FOR_SIGN_IN_KEY);
+  return completeSignIn(result);
+};
+
+// Account linking for the signed-in user
+
+export const getLinkedProviderIds = (user = auth.currentUser) =>
+  (user?.providerData || []).map((info) => info.providerId);
+
+// Same popup-then-redirect behaviour as signing in
+export const linkProvider = async (providerId) => {
+  const provider = oauthProviders[providerId].create();
+
   try {
-    const result = await signInWithPopup(auth, provider);
-    const token = await result.user.getIdToken(); // JWT token
-    return { user: result.user, token };
+    await linkWithPopup(auth.currentUser, provider);
   } catch (error) {
-    console.error('Google Sign-In Error:', error);
-    throw error;
+    if (!POPUP_UNAVAILABLE.has(error.code)) throw error;
+    await linkWithRedirect(auth.currentUser, provider);
   }
 };
 
+// Adds a password to an account that only signs in through a provider
+export const linkPassword = (password) =>
+  linkWithCredential(auth.currentUser, EmailAuthProvider.credential(auth.currentUser.email, password));
+
+export const unlinkProvider = (providerId) => unlink(auth.currentUser, providerId);
+
 export { auth };
@@ -0,0 +1,152 @@
+import { useEffect, useState, useRef, useCallback } from "react";
+import { fetchBookmarks } from "../api/bookmarks";
+import { subscribeBookmarks } from "../bookmarks/bookmarks";
+import { useSocketEvent, POST_EVENTS, COMMENT_EVENTS } from "../realtime/socket";
+
+const PAGE_SIZE = 10;
+
+// The signed-in user's saved posts, newest-saved first, with infinite scroll.
+// A saved post deleted meanwhile stays in the list with `post: null` so the
+// page can say it's gone instead of it silently vanishing.
+export default function useBookmarks() {
+  const [bookmarks, setBookmarks] = useState([]);
+  // `savedAt` of the oldest bookmark loaded; null for the first page
+  const [before, setBefore] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  const lastItemRef = useRef(null);
+  const observerRef = useRef(null);
+  const hadBookmarksRef = useRef(false);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    setError(null);
+
+    fetchBookmarks({ before, limit: PAGE_SIZE })
+      .then((items) => {
+        if (!isMounted) return;
+        setBookmarks((prev) => {
+          if (!before) return items;
+          const seen = new Set(prev.map((b) => b.postId));
+          return [...prev, ...items.filter((b) => !seen.has(b.postId))];
+        });
+        setHasMore(items.length >= PAGE_SIZE);
+      })
+      .catch((err) => {
+        console.error("Error fetching saved posts:", err);
+        if (!isMounted) return;
+        setError(err.response?.data?.message || err.message || "Failed to load saved posts");
+        setHasMore(false);
+      })
+      .finally(() => {
+        if (isMounted) setLoading(false);
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [before, attempt]);
+
+  const oldestSavedAt = bookmarks[bookmarks.length - 1]?.savedAt;
+
+  // Infinite scroll, same pattern as the post feed
+  useEffect(() => {
+    if (loading || !hasMore || !oldestSavedAt || !lastItemRef.current) return;
+
+    observerRef.current?.disconnect();
+    observerRef.current = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) setBefore(oldestSavedAt);
+      },
+      { threshold: 0.5, rootMargin: "200px" }
+    );
+    observerRef.current.observe(lastItemRef.current);
+
+    return () => observerRef.current?.disconnect();
+  }, [loading, hasMore, oldestSavedAt, bookmarks.length]);
+
+  // Everything loaded got unsaved: load what's left from the top, since
+  // there's no oldest bookmark left to page from
+  useEffect(() => {
+    if (bookmarks.length > 0) {
+      hadBookmarksRef.current = true;
+      return;
+    }
+    if (!hadBookmarksRef.current || loading || !hasMore) return;
+
+    hadBookmarksRef.current = false;
+    setBefore(null);
+    setAttempt((prev) => prev + 1);
+  }, [bookmarks.length, loading, hasMore]);
+
+  // Saved or unsaved from any card (here or in another feed): new saves go on
+  // top, unsaved posts drop out
+  useEffect(
+    () =>
+      subscribeBookmarks((change) => {
+        if (!change) return;
+        if (!change.saved) {
+          setBookmarks((prev) => prev.filter((b) => b.postId !== change.postId));
+        } else if (change.post) {
+          setBookmarks((prev) =>
+            prev.some((b) => b.postId === change.postId)
+              ? prev
+              : [{ postId: change.postId, savedAt: new Date().toISOString(), post: change.post }, ...prev]
+          );
+        }
+      }),
+    []
+  );
+
+  const updatePost = useCallback((postId, update) => {
+    setBookmarks((prev) =>
+      prev.map((b) => (b.postId === postId && b.post ? { ...b, post: update(b.post) } : b))
+    );
+  }, []);
+
+  useSocketEvent(POST_EVENTS.UPDATED, (updatedPost) => {
+    if (updatedPost?._id) updatePost(updatedPost._id, () => updatedPost);
+  });
+
+  useSocketEvent(POST_EVENTS.REACTED, (data) => {
+    if (!data?.postId) return;
+    updatePost(data.postId, (post) => ({ ...post, reactions: data.reactions || {} }));
+  });
+
+  const handleCommentCount = useCallback(
+    (data) => {
+      if (!data?.postId || typeof data.commentCount !== "number") return;
+      updatePost(data.postId, (post) => ({ ...post, commentCount: data.commentCount }));
+    },
+    [updatePost]
+  );
+
+  useSocketEvent(COMMENT_EVENTS.CREATED, handleCommentCount);
+  useSocketEvent(COMMENT_EVENTS.DELETED, handleCommentCount);
+
+  const markDeleted = useCallback((postId) => {
+    setBookmarks((prev) => prev.map((b) => (b.postId === postId ? { ...b, post: null } : b)));
+  }, []);
+
+  const handlePostRemoved = useCallback(
+    (data) => {
+      const postId = data?._id || data;
+      if (postId) markDeleted(postId);
+    },
+    [markDeleted]
+  );
+
+  useSocketEvent(POST_EVENTS.DELETED, handlePostRemoved);
+  useSocketEvent(POST_EVENTS.HIDDEN, handlePostRemoved);
+
+  const retry = useCallback(() => {
+    setHasMore(true);
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  return { bookmarks, loading, hasMore, error, lastItemRef, retry, updatePost, markDeleted };
+}
@@ -0,0 +1,224 @@
+import { useEffect, useState, useRef, useCallback } from "react";
+import { fetchMessages, sendMessage, markConversationRead } from "../api/messages";
+import { createId } from "../utils/id";
+import { auth } from "../firebase";
+import {
+  useSocket,
+  useSocketEvent,
+  MESSAGE_EVENTS,
+  CONNECTION_EVENTS,
+} from "../realtime/socket";
+
+// Typing state is re-sent this often while the user keeps typing, and
+// dropped if the other side hears nothing for TYPING_TIMEOUT
+const TYPING_INTERVAL = 3000;
+const TYPING_TIMEOUT = 5000;
+
+const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+// Merges messages by _id, swapping an optimistic copy for the server's one
+// with the same clientId
+const mergeMessages = (existing, incoming) => {
+  const incomingIds = new Set(incoming.map((m) => m._id));
+  const incomingClientIds = new Set(incoming.map((m) => m.clientId).filter(Boolean));
+  return [
+    ...existing.filter((m) => !incomingIds.has(m._id) && !(m.clientId && incomingClientIds.has(m.clientId))),
+    ...incoming,
+  ].sort(byCreatedAt);
+};
+
+// History, live delivery, sending, typing and read state for one conversation.
+// `onRead` is called once messages have been marked read on the server.
+export default function useChat(conversationId, { onRead } = {}) {
+  const { emit } = useSocket();
+  const [messages, setMessages] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [error, setError] = useState(null);
+  const [otherTyping, setOtherTyping] = useState(false);
+
+  const uid = auth.currentUser?.uid;
+  const onReadRef = useRef(onRead);
+  // Responses that arrive after switching conversations are dropped
+  const currentIdRef = useRef(conversationId);
+  const lastReadIdRef = useRef(null);
+  const typingSentAtRef = useRef(0);
+  const typingIdleTimerRef = useRef(null);
+  const otherTypingTimerRef = useRef(null);
+
+  useEffect(() => {
+    onReadRef.current = onRead;
+  }, [onRead]);
+
+  useEffect(() => {
+    currentIdRef.current = conversationId;
+  }, [conversationId]);
+
+  const loadLatest = useCallback(async () => {
+    try {
+      const page = await fetchMessages(conversationId);
+      if (currentIdRef.current !== conversationId) return;
+      setMessages((prev) => mergeMessages(prev, page.messages));
+      setHasMore((prev) => prev || page.hasMore);
+      setError(null);
+      setLoading(false);
+    } catch (err) {
+      console.error("Error fetching messages:", err);
+      if (currentIdRef.current !== conversationId) return;
+      setError(err.response?.data?.message || err.message || "Failed to load messages");
+      setLoading(false);
+    }
+  }, [conversationId]);
+
+  // Fresh state for each conversation
+  useEffect(() => {
+    setMessages([]);
+    setHasMore(false);
+    setLoading(true);
+    setError(null);
+    setOtherTyping(false);
+    lastReadIdRef.current = null;
+    loadLatest();
+  }, [loadLatest]);
+
+  useSocketEvent(CONNECTION_EVENTS.RECONNECTED, loadLatest);
+
+  const loadOlder = useCallback(async () => {
+    if (loadingOlder || !hasMore || messages.length === 0) return;
+
+    setLoadingOlder(true);
+    try {
+      const page = await fetchMessages(conversationId, { before: messages[0].createdAt });
+      if (currentIdRef.current !== conversationId) return;
+      setMessages((prev) => mergeMessages(prev, page.messages));
+      setHasMore(page.hasMore);
+    } catch (err) {
+      console.error("Error fetching older messages:", err);
+      setError(err.response?.data?.message || err.message || "Failed to load messages");
+    } finally {
+      setLoadingOlder(false);
+    }
+  }, [conversationId, loadingOlder, hasMore, messages]);
+
+  useSocketEvent(MESSAGE_EVENTS.CREATED, (data) => {
+    const message = data?.message;
+    if (!message || message.conversationId !== conversationId) return;
+    setMessages((prev) => mergeMessages(prev, [message]));
+    if (message.senderUid !== uid) setOtherTyping(false);
+  });
+
+  useSocketEvent(MESSAGE_EVENTS.TYPING, (data) => {
+    if (!data || data.conversationId !== conversationId || data.uid === uid) return;
+
+    clearTimeout(otherTypingTimerRef.current);
+    setOtherTyping(Boolean(data.typing));
+    if (data.typing) {
+      otherTypingTimerRef.current = setTimeout(() => setOtherTyping(false), TYPING_TIMEOUT);
+    }
+  });
+
+  useEffect(() => () => clearTimeout(otherTypingTimerRef.current), []);
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(typingIdleTimerRef.current);
+    if (typingSentAtRef.current) {
+      emit(MESSAGE_EVENTS.TYPING, { conversationId, typing: false });
+      typingSentAtRef.current = 0;
+    }
+  }, [emit, conversationId]);
+
+  // Call on every keystroke; throttled, and stops by itself when the user pauses
+  const notifyTyping = useCallback(() => {
+    const now = Date.now();
+    if (now - typingSentAtRef.current > TYPING_INTERVAL) {
+      emit(MESSAGE_EVENTS.TYPING, { conversationId, typing: true });
+      typingSentAtRef.current = now;
+    }
+    clearTimeout(typingIdleTimerRef.current);
+    typingIdleTimerRef.current = setTimeout(stopTyping, TYPING_INTERVAL);
+  }, [emit, conversationId, stopTyping]);
+
+  // Leaving the conversation stops the indicator on the other side
+  useEffect(() => stopTyping, [stopTyping]);
+
+  const deliver = useCallback(
+    async (pending) => {
+      setMessages((prev) =>
+        prev.map((m) => (m.clientId === pending.clientId ? { ...m, status: "sending" } : m))
+      );
+      try {
+        const message = await sendMessage(conversationId, { text: pending.text, clientId: pending.clientId });
+        if (currentIdRef.current !== conversationId) return;
+        setMessages((prev) => mergeMessages(prev, [message]));
+      } catch (err) {
+        console.error("Error sending message:", err);
+        setMessages((prev) =>
+          prev.map((m) => (m.clientId === pending.clientId ? { ...m, status: "failed" } : m))
+        );
+      }
+    },
+    [conversationId]
+  );
+
+  const send = useCallback(
+    (text) => {
+      const clientId = createId();
+      const pending = {
+        _id: clientId,
+        clientId,
+        conversationId,
+        senderUid: uid,
+        text,
+        createdAt: new Date().toISOString(),
+        status: "sending",
+      };
+
+      stopTyping();
+      setMessages((prev) => [...prev, pending]);
+      deliver(pending);
+    },
+    [conversationId, uid, stopTyping, deliver]
+  );
+
+  // Same clientId, so a send that did reach the server isn't duplicated
+  const retry = useCallback((message) => deliver(message), [deliver]);
+
+  // Mark read whenever a message from the other side arrives while the tab is visible
+  const latestIncoming = [...messages].reverse().find((m) => m.senderUid !== uid && !m.status);
+  const latestIncomingId = latestIncoming?._id;
+
+  useEffect(() => {
+    if (!latestIncomingId) return;
+
+    const markRead = () => {
+      if (document.visibilityState !== "visible" || lastReadIdRef.current === latestIncomingId) return;
+      lastReadIdRef.current = latestIncomingId;
+
+      markConversationRead(conversationId)
+        .then((result) => onReadRef.current?.(result))
+        .catch((err) => {
+          console.error("Error marking conversation read:", err);
+          lastReadIdRef.current = null;
+        });
+    };
+
+    markRead();
+    document.addEventListener("visibilitychange", markRead);
+    return () => document.removeEventListener("visibilitychange", markRead);
+  }, [conversationId, latestIncomingId]);
+
+  return {
+    messages,
+    hasMore,
+    loading,
+    loadingOlder,
+    error,
+    otherTyping,
+    loadOlder,
+    send,
+    retry,
+    notifyTyping,
+    stopTyping,
+  };
+}
@@ -0,0 +1,67 @@
+import { useEffect, useState, useCallback } from "react";
+import { fetchConversations } from "../api/messages";
+import { auth } from "../firebase";
+import { useSocketEvent, MESSAGE_EVENTS, CONNECTION_EVENTS } from "../realtime/socket";
+
+const activityOf = (conversation) =>
+  new Date(conversation.lastMessage?.createdAt || conversation.updatedAt || 0).getTime();
+
+const byActivity = (a, b) => activityOf(b) - activityOf(a);
+
+// The signed-in user's conversations, most recently active first, kept up to
+// date by message and read events.
+export default function useConversations() {
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const load = useCallback(async () => {
+    try {
+      const items = await fetchConversations();
+      setConversations(items.sort(byActivity));
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching conversations:", err);
+      setError(err.response?.data?.message || err.message || "Failed to load conversations");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useSocketEvent(CONNECTION_EVENTS.RECONNECTED, load);
+
+  // Adds a conversation (e.g. one just started) or replaces the loaded copy
+  const upsertConversation = useCallback((conversation) => {
+    setConversations((prev) =>
+      [conversation, ...prev.filter((c) => c._id !== conversation._id)].sort(byActivity)
+    );
+  }, []);
+
+  const updateConversation = useCallback((id, update) => {
+    setConversations((prev) => prev.map((c) => (c._id === id ? { ...c, ...update(c) } : c)));
+  }, []);
+
+  useSocketEvent(MESSAGE_EVENTS.CREATED, (data) => {
+    const conversation = data?.conversation;
+    if (!conversation?._id) return;
+    upsertConversation({ ...conversation, lastMessage: data.message || conversation.lastMessage });
+  });
+
+  useSocketEvent(MESSAGE_EVENTS.READ, (data) => {
+    if (!data?.conversationId) return;
+
+    if (data.readerUid === auth.currentUser?.uid) {
+      updateConversation(data.conversationId, () => ({ unreadCount: 0 }));
+    } else {
+      updateConversation(data.conversationId, (c) => ({
+        participant: { ...c.participant, lastReadAt: data.readAt },
+      }));
+    }
+  });
+
+  return { conversations, loading, error, retry: load, upsertConversation, updateConversation };
+}
@@ -0,0 +1,44 @@
+import { useEffect, useState } from "react";
+import axios from "../api/axios";
+
+const MAX_ATTEMPTS = 4;
+
+// Uids the signed-in user follows, used to filter the "Following" feed.
+// `followingIds` is null until loaded; failed loads are retried with backoff
+// and `failed` is set once they give up.
+export default function useFollowing() {
+  const [followingIds, setFollowingIds] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let isMounted = true;
+    let retryTimer = null;
+
+    const fetchFollowing = async (attempt) => {
+      try {
+        const res = await axios.get("/users/me/following", { timeout: 10000 });
+        if (isMounted) setFollowingIds(new Set(res.data.following || []));
+      } catch (err) {
+        console.error("Error fetching followed users:", err);
+        if (!isMounted) return;
+
+        if (attempt + 1 >= MAX_ATTEMPTS) {
+          setFailed(true);
+          return;
+        }
+        // Same backoff as the feed's retry
+        const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
+        retryTimer = setTimeout(() => fetchFollowing(attempt + 1), delay);
+      }
+    };
+
+    fetchFollowing(0);
+
+    return () => {
+      isMounted = false;
+      clearTimeout(retryTimer);
+    };
+  }, []);
+
+  return { followingIds, failed };
+}
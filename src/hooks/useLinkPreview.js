@@ -0,0 +1,45 @@
+import { useEffect, useState } from "react";
+import { fetchLinkPreview } from "../api/links";
+
+const MAX_ATTEMPTS = 3;
+
+// Unfurled metadata for `url` (null while loading, missing or without a url).
+// Network failures are retried with backoff before the preview is given up on.
+export default function useLinkPreview(url) {
+  const [state, setState] = useState({ url: null, preview: null });
+
+  useEffect(() => {
+    if (!url) return;
+    let isMounted = true;
+    let retryTimer = null;
+
+    const load = async (attempt) => {
+      try {
+        const preview = await fetchLinkPreview(url);
+        if (isMounted) setState({ url, preview });
+      } catch {
+        if (!isMounted) return;
+
+        if (attempt + 1 >= MAX_ATTEMPTS) {
+          setState({ url, preview: null });
+          return;
+        }
+        const delay = Math.min(1000 * Math.pow(2, attempt), 10000);
+        retryTimer = setTimeout(() => load(attempt + 1), delay);
+      }
+    };
+
+    load(0);
+
+    return () => {
+      isMounted = false;
+      clearTimeout(retryTimer);
+    };
+  }, [url]);
+
+  const isCurrent = Boolean(url) && state.url === url;
+  return {
+    preview: isCurrent ? state.preview : null,
+    loading: Boolean(url) && !isCurrent,
+  };
+}
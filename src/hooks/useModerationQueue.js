@@ -0,0 +1,104 @@
+import { useEffect, useState, useRef, useCallback } from "react";
+import { fetchReports } from "../api/moderation";
+import { useSocketEvent, POST_EVENTS } from "../realtime/socket";
+
+const PAGE_SIZE = 10;
+
+// Open reports for moderators, with infinite scroll. Reports whose post is
+// deleted or hidden (e.g. by another moderator) leave the queue live.
+export default function useModerationQueue() {
+  const [reports, setReports] = useState([]);
+  // `lastReportedAt` of the oldest report loaded; null for the first page
+  const [before, setBefore] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [error, setError] = useState(null);
+  const [forbidden, setForbidden] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+
+  const lastItemRef = useRef(null);
+  const observerRef = useRef(null);
+  const hadReportsRef = useRef(false);
+
+  useEffect(() => {
+    let isMounted = true;
+    setLoading(true);
+    setError(null);
+
+    fetchReports({ before, limit: PAGE_SIZE })
+      .then((items) => {
+        if (!isMounted) return;
+        setReports((prev) => {
+          if (!before) return items;
+          const seen = new Set(prev.map((r) => r._id));
+          return [...prev, ...items.filter((r) => !seen.has(r._id))];
+        });
+        setHasMore(items.length >= PAGE_SIZE);
+      })
+      .catch((err) => {
+        console.error("Error fetching reports:", err);
+        if (!isMounted) return;
+        if (err.response?.status === 403) setForbidden(true);
+        setError(err.response?.data?.message || err.message || "Failed to load reports");
+        setHasMore(false);
+      })
+      .finally(() => {
+        if (isMounted) setLoading(false);
+      });
+
+    return () => {
+      isMounted = false;
+    };
+  }, [before, attempt]);
+
+  const oldestReportedAt = reports[reports.length - 1]?.lastReportedAt;
+
+  // Infinite scroll, same pattern as the post feed
+  useEffect(() => {
+    if (loading || !hasMore || !oldestReportedAt || !lastItemRef.current) return;
+
+    observerRef.current?.disconnect();
+    observerRef.current = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) setBefore(oldestReportedAt);
+      },
+      { threshold: 0.5, rootMargin: "200px" }
+    );
+    observerRef.current.observe(lastItemRef.current);
+
+    return () => observerRef.current?.disconnect();
+  }, [loading, hasMore, oldestReportedAt, reports.length]);
+
+  // Every loaded report got resolved: load what's left from the top, since
+  // there's no oldest report left to page from
+  useEffect(() => {
+    if (reports.length > 0) {
+      hadReportsRef.current = true;
+      return;
+    }
+    if (!hadReportsRef.current || loading || !hasMore) return;
+
+    hadReportsRef.current = false;
+    setBefore(null);
+    setAttempt((prev) => prev + 1);
+  }, [reports.length, loading, hasMore]);
+
+  const removeReport = useCallback((reportId) => {
+    setReports((prev) => prev.filter((r) => r._id !== reportId));
+  }, []);
+
+  const handlePostRemoved = useCallback((data) => {
+    const postId = data?._id || data;
+    if (postId) setReports((prev) => prev.filter((r) => r.post?._id !== postId));
+  }, []);
+
+  useSocketEvent(POST_EVENTS.DELETED, handlePostRemoved);
+  useSocketEvent(POST_EVENTS.HIDDEN, handlePostRemoved);
+
+  const retry = useCallback(() => {
+    setHasMore(true);
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  return { reports, loading, hasMore, error, forbidden, lastItemRef, retry, removeReport };
+}
@@ -0,0 +1,118 @@
+import { useEffect, useState, useCallback } from "react";
+import {
+  fetchNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+} from "../api/notifications";
+import { useSocketEvent, NOTIFICATION_EVENTS, CONNECTION_EVENTS } from "../realtime/socket";
+
+const mergeNewest = (incoming, existing) => {
+  const incomingIds = new Set(incoming.map((n) => n._id));
+  return [...incoming, ...existing.filter((n) => !incomingIds.has(n._id))];
+};
+
+// The signed-in user's notifications: the newest page up front, older pages
+// on demand, new ones pushed over the socket.
+export default function useNotifications() {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Newest page; also used to catch up on anything missed while disconnected
+  const loadLatest = useCallback(async () => {
+    try {
+      const page = await fetchNotifications();
+      setNotifications((prev) => mergeNewest(page.notifications, prev));
+      setUnreadCount(page.unreadCount);
+      setHasMore((prev) => prev || page.hasMore);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching notifications:", err);
+      setError(err.response?.data?.message || err.message || "Failed to load notifications");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLatest();
+  }, [loadLatest]);
+
+  useSocketEvent(CONNECTION_EVENTS.RECONNECTED, loadLatest);
+
+  useSocketEvent(NOTIFICATION_EVENTS.CREATED, (data) => {
+    const notification = data?.notification;
+    if (!notification?._id) return;
+    setNotifications((prev) => mergeNewest([notification], prev));
+    setUnreadCount((prev) => (typeof data.unreadCount === "number" ? data.unreadCount : prev + 1));
+  });
+
+  // Read elsewhere, e.g. in another tab
+  useSocketEvent(NOTIFICATION_EVENTS.READ, (data) => {
+    const ids = Array.isArray(data?.ids) ? data.ids : [];
+    if (!data?.all && ids.length === 0) return;
+
+    const readIds = new Set(ids);
+    setNotifications((prev) =>
+      prev.map((n) => (data.all || readIds.has(n._id) ? { ...n, read: true } : n))
+    );
+    if (typeof data.unreadCount === "number") setUnreadCount(data.unreadCount);
+  });
+
+  const loadOlder = useCallback(async () => {
+    if (loading) return;
+    const oldest = notifications[notifications.length - 1];
+
+    setLoading(true);
+    try {
+      const page = await fetchNotifications({ before: oldest?.createdAt });
+      setNotifications((prev) => {
+        const seen = new Set(prev.map((n) => n._id));
+        return [...prev, ...page.notifications.filter((n) => !seen.has(n._id))];
+      });
+      setHasMore(page.hasMore);
+      setError(null);
+    } catch (err) {
+      console.error("Error fetching older notifications:", err);
+      setError(err.response?.data?.message || err.message || "Failed to load notifications");
+    } finally {
+      setLoading(false);
+    }
+  }, [loading, notifications]);
+
+  // Optimistic; put back if the server refuses
+  const markRead = useCallback(async (notification) => {
+    if (notification.read) return;
+
+    setNotifications((prev) => prev.map((n) => (n._id === notification._id ? { ...n, read: true } : n)));
+    setUnreadCount((prev) => Math.max(0, prev - 1));
+
+    try {
+      const { unreadCount: count } = await markNotificationRead(notification._id);
+      if (count !== undefined) setUnreadCount(count);
+    } catch (err) {
+      console.error("Error marking notification read:", err);
+      setNotifications((prev) => prev.map((n) => (n._id === notification._id ? { ...n, read: false } : n)));
+      setUnreadCount((prev) => prev + 1);
+    }
+  }, []);
+
+  const markAllRead = useCallback(async () => {
+    const previous = { notifications, unreadCount };
+
+    setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+    setUnreadCount(0);
+
+    try {
+      const { unreadCount: count } = await markAllNotificationsRead();
+      setUnreadCount(count);
+    } catch (err) {
+      console.error("Error marking all notifications read:", err);
+      setNotifications(previous.notifications);
+      setUnreadCount(previous.unreadCount);
+      alert("Couldn't mark notifications as read. Please try again.");
+    }
+  }, [notifications, unreadCount]);
+
+  return { notifications, unreadCount, hasMore, loading, error, loadOlder, markRead, markAllRead };
+}
@@ -0,0 +1,33 @@
+import { useEffect, useState } from "react";
+import { getQueuedPosts, subscribeOutbox, isSending } from "../outbox/outbox";
+
+// Queued posts for the given user, kept in sync with the outbox
+export default function useOutbox(userId) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    if (!userId) return;
+    let isMounted = true;
+
+    const load = async () => {
+      try {
+        const queued = await getQueuedPosts(userId);
+        if (isMounted) {
+          setEntries(queued.map((entry) => ({ ...entry, sending: isSending(entry.id) })));
+        }
+      } catch (err) {
+        console.error("Error reading outbox:", err);
+      }
+    };
+
+    load();
+    const unsubscribe = subscribeOutbox(load);
+
+    return () => {
+      isMounted = false;
+      unsubscribe();
+    };
+  }, [userId]);
+
+  return entries;
+}
@@ -0,0 +1,386 @@
+import { useEffect, useState, useRef, useCallback } from "react";
+import axios from "../api/axios";
+import { endSession } from "../session";
+import { useSocketEvent, POST_EVENTS, COMMENT_EVENTS, CONNECTION_EVENTS } from "../realtime/socket";
+import { appendUniquePosts, prependUniquePosts, replaceExistingPosts, newestTimestamp } from "../utils/feed";
+
+const PAGE_SIZE = 10;
+
+// Max changes fetched when catching up; beyond this we just reload the feed
+const CATCH_UP_LIMIT = 100;
+
+// How far down (px) the reader can be and still get live posts inserted directly
+const TOP_THRESHOLD = 150;
+
+const isNearTop = () => window.scrollY <= TOP_THRESHOLD;
+
+// Paginated, live-updating post feed. `query` holds extra /posts query params
+// (e.g. "feed=following") and `acceptPost` decides whether a live post:created
+// event belongs in this feed. When it returns undefined (can't tell yet) the
+// post is held and asked about again once `acceptPost` changes.
+export default function usePostFeed({ query = "", acceptPost } = {}) {
+  const queryPrefix = query ? `${query}&` : "";
+
+  const [posts, setPosts] = useState([]);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const [initialLoad, setInitialLoad] = useState(true);
+  const [error, setError] = useState(null);
+  const [retryCount, setRetryCount] = useState(0);
+  // Live posts held back so the feed doesn't shift under the reader
+  const [pendingPosts, setPendingPosts] = useState([]);
+  
+  const lastPostRef = useRef(null);
+  const observerRef = useRef(null);
+  const isMountedRef = useRef(true);
+  const fetchingRef = useRef(false);
+  // Newest post timestamp seen, used to catch up after a reconnect
+  const cursorRef = useRef(null);
+  const acceptPostRef = useRef(acceptPost);
+  // Live posts acceptPost couldn't decide on yet
+  const heldPostsRef = useRef([]);
+  const postsRef = useRef(posts);
+  const pendingPostsRef = useRef(pendingPosts);
+
+  useEffect(() => {
+    acceptPostRef.current = acceptPost;
+  }, [acceptPost]);
+
+  useEffect(() => {
+    postsRef.current = posts;
+    pendingPostsRef.current = pendingPosts;
+  }, [posts, pendingPosts]);
+
+  // Fetch posts with comprehensive error handling
+  const fetchPosts = useCallback(async (pageNum = 1, shouldAppend = true) => {
+    // Prevent duplicate requests
+    if (fetchingRef.current) {
+      console.log("Fetch already in progress, skipping...");
+      return;
+    }
+
+    fetchingRef.current = true;
+    setLoading(true);
+    setError(null);
+
+    try {
+      const res = await axios.get(`/posts?${queryPrefix}page=${pageNum}&limit=${PAGE_SIZE}`, {
+        timeout: 15000,
+      });
+
+      if (!isMountedRef.current) return;
+
+      const newPosts = res.data.posts || [];
+      cursorRef.current = newestTimestamp(newPosts, cursorRef.current);
+
+      if (shouldAppend && pageNum > 1) {
+        // Remove duplicates
+        setPosts((prev) => appendUniquePosts(prev, newPosts));
+      } else {
+        setPosts(newPosts);
+        setPendingPosts([]);
+      }
+
+      setHasMore(newPosts.length >= PAGE_SIZE);
+      setInitialLoad(false);
+      setRetryCount(0); // Reset retry count on success
+    } catch (err) {
+      console.error("Error fetching posts:", err);
+      
+      if (!isMountedRef.current) return;
+
+      const errorMessage = err.response?.data?.message || err.message || "Failed to load posts";
+      setError(errorMessage);
+      setHasMore(false);
+
+      // Still unauthorized after a token refresh: sign out, and the route
+      // guard sends the user to login and back here afterwards. A 403 is a
+      // permissions answer, not a broken session, so it just shows the error.
+      if (err.response?.status === 401) {
+        setTimeout(() => {
+          endSession().catch((error) => console.error("Sign-out error:", error));
+        }, 2000);
+      }
+    } finally {
+      if (isMountedRef.current) {
+        setLoading(false);
+        fetchingRef.current = false;
+      }
+    }
+  }, [queryPrefix]);
+
+  // Retry fetch with exponential backoff
+  const handleRetry = useCallback(() => {
+    const delay = Math.min(1000 * Math.pow(2, retryCount), 10000);
+    setRetryCount((prev) => prev + 1);
+    
+    setTimeout(() => {
+      setPage(1);
+      setHasMore(true);
+      fetchPosts(1, false);
+    }, delay);
+  }, [retryCount, fetchPosts]);
+
+  // Infinite scroll observer with cleanup
+  useEffect(() => {
+    if (loading || !hasMore || initialLoad || !lastPostRef.current) return;
+
+    // Cleanup previous observer
+    if (observerRef.current) {
+      observerRef.current.disconnect();
+    }
+
+    observerRef.current = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting && hasMore && !loading && !fetchingRef.current) {
+          setPage((prev) => prev + 1);
+        }
+      },
+      { 
+        threshold: 0.5, 
+        rootMargin: "200px" 
+      }
+    );
+
+    observerRef.current.observe(lastPostRef.current);
+
+    return () => {
+      if (observerRef.current) {
+        observerRef.current.disconnect();
+      }
+    };
+  }, [loading, hasMore, initialLoad, posts.length]);
+
+  // Initial fetch
+  useEffect(() => {
+    fetchPosts(1, false);
+  }, [fetchPosts]);
+
+  // Fetch next pages
+  useEffect(() => {
+    if (page > 1) {
+      fetchPosts(page, true);
+    }
+  }, [page, fetchPosts]);
+
+  // New posts go straight in when the reader is at the top, otherwise they
+  // wait behind the "new posts" pill
+  const receiveNewPosts = useCallback((incoming) => {
+    const existingIds = new Set(
+      [...postsRef.current, ...pendingPostsRef.current].map((p) => p._id)
+    );
+    const fresh = incoming
+      .filter((p) => !existingIds.has(p._id))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    if (fresh.length === 0) return;
+
+    if (isNearTop()) {
+      setPosts((prev) => prependUniquePosts(prev, fresh));
+    } else {
+      setPendingPosts((prev) => prependUniquePosts(prev, fresh));
+    }
+  }, []);
+
+  // acceptPost changed, e.g. what it depends on finished loading: settle the
+  // posts it held back
+  useEffect(() => {
+    const held = heldPostsRef.current;
+    if (held.length === 0) return;
+
+    const stillHeld = [];
+    const accepted = [];
+    held.forEach((post) => {
+      const verdict = acceptPost ? acceptPost(post) : true;
+      if (verdict === undefined) stillHeld.push(post);
+      else if (verdict) accepted.push(post);
+    });
+
+    heldPostsRef.current = stillHeld;
+    if (accepted.length > 0) receiveNewPosts(accepted);
+  }, [acceptPost, receiveNewPosts]);
+
+  const showPendingPosts = useCallback(() => {
+    setPosts((prev) => prependUniquePosts(prev, pendingPosts));
+    setPendingPosts([]);
+    window.scrollTo({ top: 0, behavior: "smooth" });
+  }, [pendingPosts]);
+
+  // Real-time post updates via the shared socket
+  useSocketEvent(POST_EVENTS.CREATED, (post) => {
+    try {
+      if (!post || !post._id) {
+        console.warn("Invalid post data received:", post);
+        return;
+      }
+
+      const verdict = acceptPostRef.current ? acceptPostRef.current(post) : true;
+      if (verdict === undefined) {
+        cursorRef.current = newestTimestamp([post], cursorRef.current);
+        heldPostsRef.current = [...heldPostsRef.current, post];
+        return;
+      }
+      if (!verdict) return;
+
+      cursorRef.current = newestTimestamp([post], cursorRef.current);
+      receiveNewPosts([post]);
+    } catch (error) {
+      console.error("Error handling post:created:", error);
+    }
+  });
+
+  useSocketEvent(POST_EVENTS.UPDATED, (updatedPost) => {
+    try {
+      if (!updatedPost || !updatedPost._id) {
+        console.warn("Invalid updated post data:", updatedPost);
+        return;
+      }
+
+      cursorRef.current = newestTimestamp([updatedPost], cursorRef.current);
+
+      const replace = (prev) =>
+        prev.map((p) => (p._id === updatedPost._id ? updatedPost : p));
+      setPosts(replace);
+      setPendingPosts(replace);
+    } catch (error) {
+      console.error("Error handling post:updated:", error);
+    }
+  });
+
+  useSocketEvent(POST_EVENTS.REACTED, (data) => {
+    try {
+      if (!data?.postId) {
+        console.warn("Invalid reaction data:", data);
+        return;
+      }
+
+      const applyReactions = (prev) =>
+        prev.map((p) => (p._id === data.postId ? { ...p, reactions: data.reactions || {} } : p));
+      setPosts(applyReactions);
+      setPendingPosts(applyReactions);
+    } catch (error) {
+      console.error("Error handling post:reacted:", error);
+    }
+  });
+
+  // Keep comment counts in sync; the comment list itself lives in CommentSection
+  const handleCommentCount = useCallback((data) => {
+    if (!data?.postId || typeof data.commentCount !== "number") return;
+
+    const applyCount = (prev) =>
+      prev.map((p) => (p._id === data.postId ? { ...p, commentCount: data.commentCount } : p));
+    setPosts(applyCount);
+    setPendingPosts(applyCount);
+  }, []);
+
+  useSocketEvent(COMMENT_EVENTS.CREATED, handleCommentCount);
+  useSocketEvent(COMMENT_EVENTS.DELETED, handleCommentCount);
+
+  const handlePostRemoved = useCallback((data) => {
+    try {
+      const postId = data?._id || data;
+
+      if (!postId) {
+        console.warn("Invalid post deletion data:", data);
+        return;
+      }
+
+      const remove = (prev) => prev.filter((p) => p._id !== postId);
+      setPosts(remove);
+      setPendingPosts(remove);
+      heldPostsRef.current = remove(heldPostsRef.current);
+    } catch (error) {
+      console.error("Error handling post removal:", error);
+    }
+  }, []);
+
+  useSocketEvent(POST_EVENTS.DELETED, handlePostRemoved);
+  useSocketEvent(POST_EVENTS.HIDDEN, handlePostRemoved);
+
+  // Fetch everything that changed while the socket was disconnected
+  const catchUp = useCallback(async () => {
+    const since = cursorRef.current;
+
+    // Nothing loaded yet, so a plain reload is the catch-up
+    if (!since) {
+      fetchPosts(1, false);
+      return;
+    }
+
+    try {
+      const res = await axios.get(
+        `/posts?${queryPrefix}since=${encodeURIComponent(since)}&limit=${CATCH_UP_LIMIT}`,
+        { timeout: 15000 }
+      );
+
+      if (!isMountedRef.current) return;
+
+      const changedPosts = res.data.posts || [];
+      const deletedIds = new Set(res.data.deletedIds || []);
+
+      // Missed too much to merge reliably; start the feed over
+      if (changedPosts.length >= CATCH_UP_LIMIT) {
+        setPage(1);
+        setHasMore(true);
+        fetchPosts(1, false);
+        return;
+      }
+
+      cursorRef.current = newestTimestamp(changedPosts, cursorRef.current);
+
+      // Edits to posts we already hold merge in place; posts created since
+      // the cursor queue up as new. Edited older posts we never loaded stay
+      // out, paging reaches them where they belong.
+      const sinceTime = new Date(since).getTime();
+      const createdPosts = changedPosts.filter((p) => new Date(p.createdAt).getTime() > sinceTime);
+      const applyChanges = (prev) =>
+        replaceExistingPosts(prev, changedPosts).filter((p) => !deletedIds.has(p._id));
+
+      setPosts(applyChanges);
+      setPendingPosts(applyChanges);
+      receiveNewPosts(createdPosts);
+    } catch (err) {
+      console.error("Error catching up on missed posts:", err);
+    }
+  }, [queryPrefix, fetchPosts, receiveNewPosts]);
+
+  useSocketEvent(CONNECTION_EVENTS.RECONNECTED, catchUp);
+
+  // Cleanup on unmount
+  useEffect(() => {
+    isMountedRef.current = true;
+
+    return () => {
+      isMountedRef.current = false;
+      if (observerRef.current) {
+        observerRef.current.disconnect();
+      }
+    };
+  }, []);
+
+  // Handle post updates from child components
+  const handlePostUpdated = useCallback((updatedPost) => {
+    setPosts((prev) =>
+      prev.map((p) => (p._id === updatedPost._id ? updatedPost : p))
+    );
+  }, []);
+
+  const handlePostDeleted = useCallback((postId) => {
+    setPosts((prev) => prev.filter((p) => p._id !== postId));
+  }, []);
+
+  return {
+    posts,
+    pendingPosts,
+    loading,
+    hasMore,
+    initialLoad,
+    error,
+    retryCount,
+    lastPostRef,
+    handleRetry,
+    showPendingPosts,
+    handlePostUpdated,
+    handlePostDeleted,
+  };
+}
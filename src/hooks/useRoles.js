@@ -0,0 +1,14 @@
+import { useEffect, useState } from "react";
+import { getRoles, onTokenChange } from "../session";
+
+// The signed-in user's roles from their token claims; null until known
+export default function useRoles() {
+  const [roles, setRoles] = useState(getRoles);
+
+  useEffect(() => {
+    setRoles(getRoles());
+    return onTokenChange(() => setRoles(getRoles()));
+  }, []);
+
+  return roles;
+}
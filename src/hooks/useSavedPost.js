@@ -0,0 +1,35 @@
+import { useEffect, useState, useCallback } from "react";
+import { auth } from "../firebase";
+import { isPostSaved, loadBookmarks, setPostSaved, subscribeBookmarks } from "../bookmarks/bookmarks";
+
+// Saved state of one post, kept in sync across every card showing it
+export default function useSavedPost(post) {
+  const postId = post._id;
+  const [saved, setSaved] = useState(() => isPostSaved(postId));
+  const [pending, setPending] = useState(false);
+  const userId = auth.currentUser?.uid;
+
+  useEffect(() => {
+    const sync = () => setSaved(isPostSaved(postId));
+    sync();
+    loadBookmarks(userId);
+    return subscribeBookmarks(sync);
+  }, [postId, userId]);
+
+  const toggle = useCallback(async () => {
+    if (pending) return;
+
+    setPending(true);
+    try {
+      await setPostSaved(postId, !isPostSaved(postId), post);
+    } catch (err) {
+      console.error("Failed to update saved post:", err);
+      const errorMessage = err.response?.data?.message || err.message || "Failed to update saved post";
+      alert(errorMessage);
+    } finally {
+      setPending(false);
+    }
+  }, [postId, post, pending]);
+
+  return { saved, pending, toggle };
+}
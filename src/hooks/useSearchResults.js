@@ -0,0 +1,79 @@
+import { useEffect, useState, useRef, useCallback } from "react";
+import { isCancel } from "axios";
+
+const PAGE_SIZE = 10;
+
+// Paginated results for `query` from `search(query, { page, limit, signal })`,
+// loading the next page when `lastItemRef` scrolls into view. Starts over
+// whenever the query changes; stale responses are aborted.
+export default function useSearchResults(search, query) {
+  const [results, setResults] = useState([]);
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(false);
+  const [error, setError] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+
+  const lastItemRef = useRef(null);
+  const observerRef = useRef(null);
+
+  // New query: back to the first page
+  useEffect(() => {
+    setResults([]);
+    setPage(1);
+    setHasMore(Boolean(query));
+    setError(null);
+  }, [query]);
+
+  useEffect(() => {
+    if (!query) return;
+
+    const controller = new AbortController();
+    setLoading(true);
+    setError(null);
+
+    search(query, { page, limit: PAGE_SIZE, signal: controller.signal })
+      .then((items) => {
+        setResults((prev) => {
+          if (page === 1) return items;
+          const seen = new Set(prev.map((item) => item._id || item.uid));
+          return [...prev, ...items.filter((item) => !seen.has(item._id || item.uid))];
+        });
+        setHasMore(items.length >= PAGE_SIZE);
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (isCancel(err)) return;
+        console.error("Search failed:", err);
+        setError(err.response?.data?.message || err.message || "Search failed");
+        setHasMore(false);
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [search, query, page, attempt]);
+
+  // Infinite scroll, same pattern as the post feed
+  useEffect(() => {
+    if (loading || !hasMore || !lastItemRef.current) return;
+
+    observerRef.current?.disconnect();
+    observerRef.current = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) setPage((prev) => prev + 1);
+      },
+      { threshold: 0.5, rootMargin: "200px" }
+    );
+    observerRef.current.observe(lastItemRef.current);
+
+    return () => observerRef.current?.disconnect();
+  }, [loading, hasMore, results.length]);
+
+  const retry = useCallback(() => {
+    setHasMore(true);
+    setAttempt((prev) => prev + 1);
+  }, []);
+
+  // setResults lets the page apply edits and deletes to loaded results
+  return { results, setResults, loading, hasMore, error, lastItemRef, retry };
+}
@@ -0,0 +1,37 @@
+import { useEffect, useState, useCallback } from "react";
+import { fetchUnreadMessageCount } from "../api/messages";
+import { auth } from "../firebase";
+import { useSocketEvent, MESSAGE_EVENTS, CONNECTION_EVENTS } from "../realtime/socket";
+
+// Total unread direct messages for the signed-in user. The server includes
+// the up-to-date total with every message and read event it sends.
+export default function useUnreadMessages() {
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refresh = useCallback(async () => {
+    try {
+      const { unreadCount: count } = await fetchUnreadMessageCount();
+      setUnreadCount(count);
+    } catch (err) {
+      console.error("Error fetching unread message count:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useSocketEvent(CONNECTION_EVENTS.RECONNECTED, refresh);
+
+  useSocketEvent(MESSAGE_EVENTS.CREATED, (data) => {
+    if (typeof data?.unreadCount === "number") setUnreadCount(data.unreadCount);
+  });
+
+  // Only our own reads change our count
+  useSocketEvent(MESSAGE_EVENTS.READ, (data) => {
+    if (!data || data.readerUid !== auth.currentUser?.uid) return;
+    if (typeof data.unreadCount === "number") setUnreadCount(data.unreadCount);
+  });
+
+  return unreadCount;
+}
@@ -0,0 +1,29 @@
+import { useEffect, useCallback } from "react";
+import { useSocketEvent, CONNECTION_EVENTS } from "../realtime/socket";
+import { flushOutbox } from "./outbox";
+
+// Fallback retry for server errors, when no connectivity change will come
+const RETRY_INTERVAL = 60000;
+
+// Retries queued posts on start-up, whenever connectivity comes back and
+// periodically in between
+export default function OutboxSync({ userId }) {
+  const flush = useCallback(() => {
+    flushOutbox(userId);
+  }, [userId]);
+
+  useEffect(() => {
+    flush();
+    window.addEventListener("online", flush);
+    const interval = setInterval(flush, RETRY_INTERVAL);
+
+    return () => {
+      window.removeEventListener("online", flush);
+      clearInterval(interval);
+    };
+  }, [flush]);
+
+  useSocketEvent(CONNECTION_EVENTS.RECONNECTED, flush);
+
+  return null;
+}
@@ -0,0 +1,171 @@
+import { idbGetAll, idbGet, idbPut, idbDelete } from "../utils/idb";
+import { uploadMedia, createPost, isRetryableError } from "../api/posts";
+import { mentionsInText } from "../utils/richText";
+import { getPreviewLink } from "../utils/markdown";
+
+// Posts that couldn't be sent yet, persisted in IndexedDB so they survive
+// reloads. Each entry's id doubles as the idempotency key sent to the server.
+//
+// Entry: { id, userId, content, mentions, dismissedLinkUrl, attachments, status, lastError, attempts, createdAt }
+//   attachments - ordered [{ file, media, posterTime }]; `file` is the selected File/Blob,
+//                 replaced by `media` ({ url, type, poster }) once uploaded so retries skip it.
+//                 `posterTime` is the video frame (seconds) picked as its poster.
+//   status      - "pending" (will be retried) or "failed" (needs the user)
+
+const STORE = "outbox";
+
+const listeners = new Set();
+// Ids currently being sent by this tab
+const sendingIds = new Set();
+let flushPromise = null;
+// Set when a flush is asked for while one is running, e.g. a manual retry of
+// an entry the running pass has already gone past
+let flushRequested = false;
+
+const notify = () => listeners.forEach((listener) => listener());
+
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const isSending = (id) => sendingIds.has(id);
+
+export const getQueuedPosts = async (userId) => {
+  const entries = await idbGetAll(STORE);
+  return entries
+    .filter((entry) => entry.userId === userId)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+};
+
+export const queuePost = async ({
+  id,
+  userId,
+  content,
+  mentions = [],
+  dismissedLinkUrl = null,
+  attachments = [],
+  lastError = null,
+}) => {
+  await idbPut(STORE, {
+    id,
+    userId,
+    content,
+    mentions,
+    dismissedLinkUrl,
+    attachments,
+    status: "pending",
+    lastError,
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+  });
+  notify();
+};
+
+// sendEntry works from the copy it read before uploading, so the entry is
+// frozen until it finishes; the card hides its controls meanwhile
+const assertNotSending = (id) => {
+  if (sendingIds.has(id)) throw new Error("This post is being sent right now");
+};
+
+export const updateQueuedPost = async (id, changes) => {
+  assertNotSending(id);
+  const entry = await idbGet(STORE, id);
+  if (!entry) return;
+
+  await idbPut(STORE, { ...entry, ...changes });
+  notify();
+};
+
+export const removeQueuedPost = async (id) => {
+  assertNotSending(id);
+  await idbDelete(STORE, id);
+  notify();
+};
+
+const sendEntry = async (entry) => {
+  sendingIds.add(entry.id);
+  notify();
+
+  try {
+    const attachments = [...entry.attachments];
+
+    for (let i = 0; i < attachments.length; i++) {
+      if (attachments[i].media) continue;
+
+      const { file, posterTime } = attachments[i];
+      attachments[i] = { file: null, media: await uploadMedia(file, { posterTime }) };
+      // Remember each upload so a later failure doesn't redo it
+      await idbPut(STORE, { ...entry, attachments: [...attachments] });
+    }
+
+    try {
+      await createPost({
+        userId: entry.userId,
+        content: entry.content,
+        // The text may have been edited since the mentions were picked
+        mentions: mentionsInText(entry.content, entry.mentions),
+        // Follow edits made while queued, but keep a removed preview removed
+        linkPreviewUrl: getPreviewLink(entry.content, entry.dismissedLinkUrl),
+        dismissedLinkUrl: entry.dismissedLinkUrl,
+        media: attachments.map((attachment) => attachment.media),
+        idempotencyKey: entry.id,
+      });
+    } catch (err) {
+      // 409: an earlier attempt already went through
+      if (err.response?.status !== 409) throw err;
+    }
+
+    await idbDelete(STORE, entry.id);
+  } catch (err) {
+    console.error("Queued post failed:", err);
+
+    const latest = (await idbGet(STORE, entry.id)) || entry;
+    await idbPut(STORE, {
+      ...latest,
+      status: isRetryableError(err) ? "pending" : "failed",
+      lastError: err.response?.data?.message || err.message || "Failed to send post",
+      attempts: (latest.attempts || 0) + 1,
+    });
+  } finally {
+    sendingIds.delete(entry.id);
+    notify();
+  }
+};
+
+// Sends every pending entry for the user, one at a time
+export const flushOutbox = (userId) => {
+  // Every attempt would fail anyway; the "online" event brings us back here
+  if (!navigator.onLine) return Promise.resolve();
+
+  if (flushPromise) {
+    flushRequested = true;
+    return flushPromise;
+  }
+
+  flushPromise = (async () => {
+    try {
+      do {
+        flushRequested = false;
+        const entries = await getQueuedPosts(userId);
+        // Oldest first, so posts land in the order they were written
+        for (const entry of entries.reverse()) {
+          if (entry.status === "pending" && !sendingIds.has(entry.id)) {
+            await sendEntry(entry);
+          }
+        }
+      } while (flushRequested && navigator.onLine);
+    } catch (err) {
+      console.error("Error flushing outbox:", err);
+    } finally {
+      flushPromise = null;
+    }
+  })();
+  return flushPromise;
+};
+
+// Manual retry, also for entries that failed for good
+export const retryQueuedPost = async (id, userId) => {
+  await updateQueuedPost(id, { status: "pending" });
+  return flushOutbox(userId);
+};
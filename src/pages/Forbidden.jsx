@@ -0,0 +1,21 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { ShieldAlert } from "lucide-react";
+
+// 403: signed in, but without the role this page needs
+export default function Forbidden({ message = "You don't have permission to view this page." }) {
+  return (
+    <div className="flex flex-col justify-center items-center h-screen gap-4 px-4">
+      <ShieldAlert className="w-16 h-16 text-red-500" />
+      <p className="text-sm font-semibold text-red-500 tracking-widest">403</p>
+      <h2 className="text-xl font-semibold text-gray-900">Access denied</h2>
+      <p className="text-gray-600 text-center max-w-md">{message}</p>
+      <Link
+        to="/dashboard"
+        className="mt-4 px-6 py-2 bg-blue-600 text-white rounded-full hover:bg-blue-700 transition-colors"
+      >
+        Back to feed
+      </Link>
+    </div>
+  );
+}
@@ -1,38 +1,306 @@
-import React from "react";
-import { signInWithGoogle } from "../firebase";
-import { setAuthToken } from "../api/axios"; // your Axios helper to set Authorization header
-import { useNavigate } from "react-router-dom";
+import React, { useEffect, useState, useRef, useCallback } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Github, Mail, Loader2, Link2 } from "lucide-react";
+import {
+  signInWithGoogle,
+  signInWithGithub,
+  signInWithEmail,
+  signUpWithEmail,
+  sendPasswordReset,
+  sendEmailSignInLink,
+  completeRedirectSignIn,
+  isEmailSignInLink,
+  getEmailForSignIn,
+  completeEmailLinkSignIn,
+  getPendingLink,
+  clearPendingLink,
+} from "../firebase";
+import { safeRedirectPath, REDIRECT_PARAM } from "../utils/redirect";
+import { authErrorMessage, isAuthCancellation, providerName } from "../utils/authErrors";
+
+// Email form modes
+const MODES = {
+  SIGN_IN: "sign-in",
+  SIGN_UP: "sign-up",
+  RESET: "reset",
+  EMAIL_LINK: "email-link",
+  CONFIRM_LINK: "confirm-link",
+};
+
+const TITLES = {
+  [MODES.SIGN_IN]: "Sign in",
+  [MODES.SIGN_UP]: "Create an account",
+  [MODES.RESET]: "Reset your password",
+  [MODES.EMAIL_LINK]: "Sign in with a link",
+  [MODES.CONFIRM_LINK]: "Confirm your email",
+};
+
+const SUBMIT_LABELS = {
+  [MODES.SIGN_IN]: "Sign in",
+  [MODES.SIGN_UP]: "Create account",
+  [MODES.RESET]: "Send reset email",
+  [MODES.EMAIL_LINK]: "Email me a link",
+  [MODES.CONFIRM_LINK]: "Finish signing in",
+};
 
 export default function Login() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const redirectParam = searchParams.get(REDIRECT_PARAM);
+
+  const [mode, setMode] = useState(() => (isEmailSignInLink() ? MODES.CONFIRM_LINK : MODES.SIGN_IN));
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [displayName, setDisplayName] = useState("");
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [pendingLink, setPendingLink] = useState(getPendingLink);
+  // A sign-in link only works once, so it must not be retried on re-render
+  const handledReturnRef = useRef(false);
+
+  const finish = useCallback(
+    (result) => {
+      // null: the page is redirecting to the provider
+      if (result) navigate(safeRedirectPath(redirectParam), { replace: true });
+    },
+    [navigate, redirectParam]
+  );
+
+  const showError = useCallback((err) => {
+    console.error("Sign-in error:", err);
+    if (isAuthCancellation(err)) return;
+    setError(authErrorMessage(err));
+    setPendingLink(getPendingLink());
+  }, []);
+
+  // Coming back from a redirect sign-in, or from a sign-in link
+  useEffect(() => {
+    if (handledReturnRef.current) return;
+    handledReturnRef.current = true;
 
-  const handleLogin = async () => {
+    completeRedirectSignIn().catch(showError);
+
+    if (isEmailSignInLink()) {
+      const savedEmail = getEmailForSignIn();
+      if (savedEmail) {
+        setBusy("email");
+        completeEmailLinkSignIn(savedEmail)
+          .then(finish)
+          .catch((err) => {
+            showError(err);
+            setMode(MODES.EMAIL_LINK);
+            setBusy(null);
+          });
+      }
+    }
+  }, [finish, showError]);
+
+  const handleProvider = async (signIn, name) => {
+    if (busy) return;
+
+    setBusy(name);
+    setError(null);
+    setNotice(null);
     try {
-      const { user, token } = await signInWithGoogle();
+      // The session module picks up the ID token and keeps it refreshed
+      finish(await signIn());
+    } catch (err) {
+      showError(err);
+    } finally {
+      setBusy(null);
+    }
+  };
 
-      // Save token in localStorage (or secure storage)
-      localStorage.setItem("authToken", token);
-      console.log(user)
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setError(null);
+    setNotice(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (busy) return;
 
-      // Optional: set Axios default Authorization header
-      setAuthToken(token);
+    const trimmedEmail = email.trim();
+    setBusy("email");
+    setError(null);
+    setNotice(null);
 
-      // Redirect to dashboard/news feed
-      navigate("/dashboard");
+    try {
+      switch (mode) {
+        case MODES.SIGN_UP:
+          finish(await signUpWithEmail({ email: trimmedEmail, password, displayName: displayName.trim() }));
+          break;
+        case MODES.RESET:
+          await sendPasswordReset(trimmedEmail);
+          setNotice(`If ${trimmedEmail} has an account, a reset link is on its way.`);
+          break;
+        case MODES.EMAIL_LINK: {
+          // The link comes back here, keeping where the user was headed
+          const continuePath = redirectParam
+            ? `/login?${REDIRECT_PARAM}=${encodeURIComponent(safeRedirectPath(redirectParam))}`
+            : "/login";
+          await sendEmailSignInLink(trimmedEmail, continuePath);
+          setNotice(`Check ${trimmedEmail} for a sign-in link. You can close this tab.`);
+          break;
+        }
+        case MODES.CONFIRM_LINK:
+          finish(await completeEmailLinkSignIn(trimmedEmail));
+          break;
+        default:
+          finish(await signInWithEmail({ email: trimmedEmail, password }));
+      }
     } catch (err) {
-      console.error("Google Sign-In Error:", err);
-      alert("Failed to sign in. Please try again.");
+      showError(err);
+    } finally {
+      setBusy(null);
     }
   };
 
+  const needsPassword = mode === MODES.SIGN_IN || mode === MODES.SIGN_UP;
+
   return (
-    <div className="h-screen flex justify-center items-center bg-gray-100">
-      <button
-        onClick={handleLogin}
-        className="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 shadow-md transition duration-200"
-      >
-        Sign in with Google
-      </button>
+    <div className="min-h-screen flex justify-center items-center bg-gray-100 px-4 py-10">
+      <div className="w-full max-w-sm bg-white rounded-2xl shadow-md p-6 space-y-5">
+        <h1 className="text-2xl font-bold text-gray-900 text-center">{TITLES[mode]}</h1>
+
+        {pendingLink && (
+          <div className="flex items-start gap-2 rounded-xl bg-blue-50 text-blue-800 text-sm p-3" role="status">
+            <Link2 size={16} className="mt-0.5 flex-shrink-0" />
+            <div>
+              <p>
+                Sign in with your existing method to link {providerName(pendingLink.providerId)}
+                {pendingLink.email ? ` to ${pendingLink.email}` : ""}.
+              </p>
+              <button
+                onClick={() => {
+                  clearPendingLink();
+                  setPendingLink(null);
+                }}
+                className="mt-1 text-xs font-medium underline"
+              >
+                Don't link
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && (
+          <p className="rounded-xl bg-red-50 text-red-700 text-sm p-3" role="alert">
+            {error}
+          </p>
+        )}
+        {notice && (
+          <p className="rounded-xl bg-green-50 text-green-700 text-sm p-3" role="status">
+            {notice}
+          </p>
+        )}
+
+        {mode !== MODES.CONFIRM_LINK && (
+          <>
+            <div className="space-y-2">
+              <button
+                onClick={() => handleProvider(signInWithGoogle, "google")}
+                disabled={Boolean(busy)}
+                className="w-full flex items-center justify-center gap-2 bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700 shadow-md transition duration-200 disabled:opacity-50"
+              >
+                {busy === "google" && <Loader2 size={16} className="animate-spin" />}
+                Sign in with Google
+              </button>
+              <button
+                onClick={() => handleProvider(signInWithGithub, "github")}
+                disabled={Boolean(busy)}
+                className="w-full flex items-center justify-center gap-2 bg-gray-900 text-white px-6 py-3 rounded-lg hover:bg-gray-800 shadow-md transition duration-200 disabled:opacity-50"
+              >
+                {busy === "github" ? <Loader2 size={16} className="animate-spin" /> : <Github size={16} />}
+                Sign in with GitHub
+              </button>
+            </div>
+
+            <div className="flex items-center gap-3 text-xs text-gray-400" aria-hidden="true">
+              <span className="flex-1 h-px bg-gray-200" />
+              or
+              <span className="flex-1 h-px bg-gray-200" />
+            </div>
+          </>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          {mode === MODES.CONFIRM_LINK && (
+            <p className="text-sm text-gray-600">
+              Enter the email address the sign-in link was sent to.
+            </p>
+          )}
+
+          {mode === MODES.SIGN_UP && (
+            <input
+              type="text"
+              value={displayName}
+              onChange={(e) => setDisplayName(e.target.value)}
+              placeholder="Your name"
+              autoComplete="name"
+              aria-label="Your name"
+              className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          )}
+
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            autoComplete="email"
+            aria-label="Email"
+            required
+            className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+
+          {needsPassword && (
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Password"
+              autoComplete={mode === MODES.SIGN_UP ? "new-password" : "current-password"}
+              aria-label="Password"
+              required
+              minLength={mode === MODES.SIGN_UP ? 6 : undefined}
+              className="w-full border border-gray-200 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          )}
+
+          <button
+            type="submit"
+            disabled={Boolean(busy)}
+            className="w-full flex items-center justify-center gap-2 bg-white text-gray-900 border border-gray-300 px-6 py-2.5 rounded-lg hover:bg-gray-50 transition duration-200 disabled:opacity-50"
+          >
+            {busy === "email" ? <Loader2 size={16} className="animate-spin" /> : <Mail size={16} />}
+            {SUBMIT_LABELS[mode]}
+          </button>
+        </form>
+
+        <div className="flex flex-col items-center gap-1.5 text-sm">
+          {mode === MODES.SIGN_IN && (
+            <>
+              <button onClick={() => switchMode(MODES.RESET)} className="text-blue-600 hover:underline">
+                Forgot your password?
+              </button>
+              <button onClick={() => switchMode(MODES.EMAIL_LINK)} className="text-blue-600 hover:underline">
+                Email me a sign-in link instead
+              </button>
+              <button onClick={() => switchMode(MODES.SIGN_UP)} className="text-blue-600 hover:underline">
+                New here? Create an account
+              </button>
+            </>
+          )}
+          {mode !== MODES.SIGN_IN && (
+            <button onClick={() => switchMode(MODES.SIGN_IN)} className="text-blue-600 hover:underline">
+              {mode === MODES.SIGN_UP ? "Already have an account? Sign in" : "Back to sign in"}
+            </button>
+          )}
+        </div>
+      </div>
     </div>
   );
 }
@@ -0,0 +1,63 @@
+import React, { useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import { MessageCircle, AlertCircle } from "lucide-react";
+import useConversations from "../hooks/useConversations";
+import ConversationList from "../components/ConversationList";
+import ChatView from "../components/ChatView";
+
+// /messages lists conversations; /messages/:conversationId opens one beside
+// the list (or on its own on small screens)
+export default function Messages() {
+  const { conversationId } = useParams();
+  const { conversations, loading, error, retry, updateConversation } = useConversations();
+  const active = conversations.find((c) => c._id === conversationId);
+
+  const handleRead = useCallback(() => {
+    updateConversation(conversationId, () => ({ unreadCount: 0 }));
+  }, [conversationId, updateConversation]);
+
+  const renderChat = () => {
+    if (active) return <ChatView key={active._id} conversation={active} onRead={handleRead} />;
+
+    if (conversationId && !loading) {
+      return (
+        <div className="flex flex-col items-center justify-center h-full gap-3 px-6 text-center">
+          <AlertCircle className="w-8 h-8 text-gray-300" />
+          <p className="text-gray-500">This conversation doesn't exist or isn't yours.</p>
+          <Link to="/messages" className="text-sm text-blue-600 hover:underline">
+            Back to messages
+          </Link>
+        </div>
+      );
+    }
+
+    return (
+      <div className="flex flex-col items-center justify-center h-full gap-2 text-center px-6">
+        <MessageCircle className="w-10 h-10 text-gray-300" />
+        <p className="text-gray-500">Pick a conversation to start chatting.</p>
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-gray-50 md:py-6">
+      <div className="max-w-5xl mx-auto h-[calc(100vh-4rem)] md:h-[calc(100vh-7rem)] bg-white md:rounded-2xl shadow-sm border border-gray-100 overflow-hidden grid md:grid-cols-[320px_1fr]">
+        <aside
+          className={`border-r border-gray-100 overflow-y-auto ${conversationId ? "hidden md:block" : ""}`}
+          aria-label="Conversations"
+        >
+          <h1 className="text-lg font-bold text-gray-900 px-4 py-3 border-b border-gray-100">Messages</h1>
+          <ConversationList
+            conversations={conversations}
+            activeId={conversationId}
+            loading={loading}
+            error={error}
+            retry={retry}
+          />
+        </aside>
+
+        <div className={`min-h-0 ${conversationId ? "" : "hidden md:block"}`}>{renderChat()}</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import { Loader2, AlertCircle, RefreshCw, ShieldCheck, EyeOff, Trash2, Check } from "lucide-react";
+import useModerationQueue from "../hooks/useModerationQueue";
+import { resolveReport, MODERATION_ACTIONS, REPORT_REASONS } from "../api/moderation";
+import PostContent from "../components/PostContent";
+import MediaCarousel from "../components/MediaCarousel";
+import { getPostMedia } from "../utils/media";
+import { timeAgo } from "../utils/time";
+import Forbidden from "./Forbidden";
+
+const MAX_AUDIT_NOTE_LENGTH = 500;
+
+const reasonLabel = (id) => REPORT_REASONS.find((reason) => reason.id === id)?.label || id;
+
+const ACTION_BUTTONS = [
+  {
+    action: MODERATION_ACTIONS.DISMISS,
+    label: "Dismiss",
+    icon: <Check size={14} />,
+    className: "text-gray-700 bg-gray-100 hover:bg-gray-200",
+  },
+  {
+    action: MODERATION_ACTIONS.HIDE,
+    label: "Hide",
+    icon: <EyeOff size={14} />,
+    className: "text-amber-800 bg-amber-100 hover:bg-amber-200",
+  },
+  {
+    action: MODERATION_ACTIONS.DELETE,
+    label: "Delete",
+    icon: <Trash2 size={14} />,
+    className: "text-white bg-red-600 hover:bg-red-700",
+  },
+];
+
+function ReportCard({ report, onResolved }) {
+  const [note, setNote] = useState("");
+  const [pendingAction, setPendingAction] = useState(null);
+  const [showReports, setShowReports] = useState(false);
+  const { post } = report;
+  const media = post ? getPostMedia(post) : [];
+
+  const handleAction = async (action) => {
+    if (pendingAction) return;
+    if (!note.trim()) {
+      alert("Add an audit note explaining the decision first.");
+      return;
+    }
+    if (action === MODERATION_ACTIONS.DELETE && !window.confirm("Delete this post for good?")) return;
+
+    setPendingAction(action);
+    try {
+      await resolveReport(report._id, { action, note: note.trim() });
+      onResolved(report._id);
+    } catch (err) {
+      console.error("Failed to resolve report:", err);
+      alert(err.response?.data?.message || err.message || "Failed to resolve report");
+      setPendingAction(null);
+    }
+  };
+
+  return (
+    <article className="bg-white rounded-2xl shadow-sm border border-gray-100 p-5 space-y-4">
+      <header className="flex flex-wrap items-center justify-between gap-2">
+        <div className="text-sm">
+          <span className="font-semibold text-gray-900">
+            {report.reportCount} {report.reportCount === 1 ? "report" : "reports"}
+          </span>
+          <span className="text-gray-400"> · last {timeAgo(report.lastReportedAt)}</span>
+        </div>
+        <div className="flex flex-wrap gap-1.5">
+          {Object.entries(report.reasons || {}).map(([reason, count]) => (
+            <span key={reason} className="text-xs font-medium text-red-700 bg-red-50 rounded-full px-2.5 py-0.5">
+              {reasonLabel(reason)} {count > 1 && `×${count}`}
+            </span>
+          ))}
+        </div>
+      </header>
+
+      {post ? (
+        <div className="rounded-xl border border-gray-100 bg-gray-50 p-4 space-y-3">
+          <div className="text-xs text-gray-500">
+            {post.user?.uid ? (
+              <Link to={`/users/${encodeURIComponent(post.user.uid)}`} className="font-semibold text-gray-800 hover:underline">
+                {post.user?.name || "Unknown User"}
+              </Link>
+            ) : (
+              <span className="font-semibold text-gray-800">{post.user?.name || "Unknown User"}</span>
+            )}{" "}
+            ·{" "}
+            <Link to={`/posts/${encodeURIComponent(post._id)}`} className="hover:underline">
+              {timeAgo(post.createdAt)}
+            </Link>
+          </div>
+          {post.content && (
+            <PostContent content={post.content} mentions={post.mentions} className="text-gray-800 text-sm" />
+          )}
+          {media.length > 0 && <MediaCarousel media={media} />}
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500 italic">The post is no longer available.</p>
+      )}
+
+      <div>
+        <button
+          onClick={() => setShowReports(!showReports)}
+          className="text-sm text-blue-600 hover:underline"
+          aria-expanded={showReports}
+        >
+          {showReports ? "Hide reports" : "Show reports"}
+        </button>
+        {showReports && (
+          <ul className="mt-2 space-y-2">
+            {(report.reports || []).map((item, index) => (
+              <li key={index} className="text-sm border-l-2 border-red-200 pl-3">
+                <span className="font-medium text-gray-800">{reasonLabel(item.reason)}</span>
+                <span className="text-gray-400">
+                  {" "}
+                  · {item.reporter?.name || "Someone"} · {timeAgo(item.createdAt)}
+                </span>
+                {item.note && <p className="text-gray-600 whitespace-pre-line">{item.note}</p>}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <label htmlFor={`audit-note-${report._id}`} className="text-sm text-gray-600">
+          Audit note
+        </label>
+        <textarea
+          id={`audit-note-${report._id}`}
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          className="w-full border border-gray-200 rounded-xl px-3 py-2 text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
+          rows={2}
+          maxLength={MAX_AUDIT_NOTE_LENGTH}
+          placeholder="Why this decision? Kept in the moderation log."
+          disabled={Boolean(pendingAction)}
+        />
+        <div className="flex flex-wrap justify-end gap-2">
+          {ACTION_BUTTONS.map(({ action, label, icon, className }) => (
+            <button
+              key={action}
+              onClick={() => handleAction(action)}
+              disabled={Boolean(pendingAction) || (!post && action !== MODERATION_ACTIONS.DISMISS)}
+              className={`inline-flex items-center gap-1.5 px-4 py-2 text-sm font-semibold rounded-full transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${className}`}
+            >
+              {pendingAction === action ? <Loader2 size={14} className="animate-spin" /> : icon}
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </article>
+  );
+}
+
+export default function Moderation() {
+  const { reports, loading, hasMore, error, forbidden, lastItemRef, retry, removeReport } = useModerationQueue();
+
+  // The route guard checks the token's roles; the server has the final say
+  if (forbidden) return <Forbidden message="You don't have access to the moderation queue." />;
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-10">
+      <main className="max-w-3xl mx-auto px-4 pt-6">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+          <ShieldCheck className="w-6 h-6 text-blue-600" />
+          Moderation queue
+        </h1>
+
+        <div className="mt-6 space-y-4">
+          {reports.map((report, index) => (
+            <div key={report._id} ref={index === reports.length - 1 ? lastItemRef : null}>
+              <ReportCard report={report} onResolved={removeReport} />
+            </div>
+          ))}
+
+          {loading && (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin text-blue-600" aria-label="Loading reports" />
+            </div>
+          )}
+
+          {error && (
+            <div className="text-center py-6">
+              <p className="text-red-600 text-sm mb-3 flex items-center justify-center gap-2">
+                <AlertCircle size={16} />
+                {error}
+              </p>
+              <button
+                onClick={retry}
+                className="inline-flex items-center gap-2 px-4 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+              >
+                <RefreshCw size={14} />
+                Try again
+              </button>
+            </div>
+          )}
+
+          {!loading && !error && reports.length === 0 && (
+            <div className="text-center py-12 bg-white rounded-2xl shadow-sm border border-gray-100">
+              <p className="text-gray-500 font-medium">Nothing to review</p>
+              <p className="text-gray-400 text-sm mt-1">New reports will show up here.</p>
+            </div>
+          )}
+
+          {!loading && !error && !hasMore && reports.length > 0 && (
+            <p className="text-center text-gray-400 text-sm py-6">That's everything</p>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
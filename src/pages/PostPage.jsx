@@ -0,0 +1,185 @@
+import React, { useEffect, useState, useCallback, Suspense, lazy } from "react";
+import { Link, useParams } from "react-router-dom";
+import { Loader2, AlertCircle, ArrowLeft, FileX } from "lucide-react";
+import axios from "../api/axios";
+import { useSocketEvent, POST_EVENTS, COMMENT_EVENTS } from "../realtime/socket";
+import { PostSkeleton } from "../components/PostSkeleton.jsx";
+
+const PostCard = lazy(() => import("../components/PostCard"));
+
+const MISSING_MESSAGES = {
+  "not-found": {
+    title: "Post not found",
+    detail: "The link may be broken or the post may never have existed.",
+  },
+  deleted: {
+    title: "This post has been deleted",
+    detail: "It was removed, so it's no longer available.",
+  },
+  hidden: {
+    title: "This post has been hidden",
+    detail: "A moderator took it down, so it's no longer available.",
+  },
+};
+
+// Permalink page for a single post
+export default function PostPage() {
+  const { id } = useParams();
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // "not-found" when the post never existed, "deleted" when it was removed
+  const [missing, setMissing] = useState(null);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchPost = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setMissing(null);
+
+        const res = await axios.get(`/posts/${encodeURIComponent(id)}`, { timeout: 10000 });
+        if (!isMounted) return;
+
+        const fetchedPost = res.data.post || res.data;
+        if (!fetchedPost?._id) throw new Error("Post data not found");
+
+        setPost(fetchedPost);
+      } catch (err) {
+        console.error("Post fetch error:", err);
+        if (!isMounted) return;
+
+        const status = err.response?.status;
+        if (status === 404) {
+          setMissing("not-found");
+        } else if (status === 410) {
+          setMissing("deleted");
+        } else {
+          setError(err.response?.data?.message || err.message || "Failed to load post");
+        }
+      } finally {
+        if (isMounted) setLoading(false);
+      }
+    };
+
+    fetchPost();
+
+    return () => {
+      isMounted = false;
+    };
+  }, [id]);
+
+  // Real-time updates for this post only
+  useSocketEvent(POST_EVENTS.UPDATED, (updatedPost) => {
+    if (updatedPost?._id === id) setPost(updatedPost);
+  });
+
+  useSocketEvent(POST_EVENTS.REACTED, (data) => {
+    if (data?.postId === id) setPost((prev) => prev && { ...prev, reactions: data.reactions || {} });
+  });
+
+  const handleCommentCount = useCallback(
+    (data) => {
+      if (data?.postId !== id || typeof data.commentCount !== "number") return;
+      setPost((prev) => prev && { ...prev, commentCount: data.commentCount });
+    },
+    [id]
+  );
+
+  useSocketEvent(COMMENT_EVENTS.CREATED, handleCommentCount);
+  useSocketEvent(COMMENT_EVENTS.DELETED, handleCommentCount);
+
+  useSocketEvent(POST_EVENTS.DELETED, (data) => {
+    const postId = data?._id || data;
+    if (postId === id) {
+      setPost(null);
+      setMissing("deleted");
+    }
+  });
+
+  useSocketEvent(POST_EVENTS.HIDDEN, (data) => {
+    const postId = data?._id || data;
+    if (postId === id) {
+      setPost(null);
+      setMissing("hidden");
+    }
+  });
+
+  const handlePostUpdated = useCallback((updated) => {
+    setPost(updated);
+  }, []);
+
+  const handlePostDeleted = useCallback(() => {
+    setPost(null);
+    setMissing("deleted");
+  }, []);
+
+  const backLink = (
+    <Link
+      to="/dashboard"
+      className="inline-flex items-center gap-2 text-sm text-gray-600 hover:text-blue-600 transition-colors mb-4"
+    >
+      <ArrowLeft className="w-4 h-4" />
+      Back to feed
+    </Link>
+  );
+
+  // Loading
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+        <div className="max-w-2xl mx-auto py-6 px-4">
+          <PostSkeleton />
+        </div>
+      </div>
+    );
+  }
+
+  // Error
+  if (error) {
+    return (
+      <div className="flex flex-col justify-center items-center h-screen gap-4 px-4">
+        <AlertCircle className="w-16 h-16 text-red-500" />
+        <h2 className="text-xl font-semibold text-gray-900">Failed to Load Post</h2>
+        <p className="text-gray-600 text-center max-w-md">{error}</p>
+        <button
+          onClick={() => window.location.reload()}
+          className="mt-4 px-6 py-2 bg-blue-600 text-white rounded-full hover:bg-blue-700 transition-colors"
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <div className="max-w-2xl mx-auto py-6 px-4">
+        {backLink}
+
+        {missing || !post ? (
+          <div className="bg-white rounded-2xl shadow-sm border border-gray-100 p-12 text-center">
+            <FileX className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-700 text-lg font-medium">
+              {MISSING_MESSAGES[missing]?.title || MISSING_MESSAGES["not-found"].title}
+            </p>
+            <p className="text-gray-400 text-sm mt-2">
+              {MISSING_MESSAGES[missing]?.detail || MISSING_MESSAGES["not-found"].detail}
+            </p>
+          </div>
+        ) : (
+          <Suspense fallback={<PostSkeleton />}>
+            <PostCard
+              key={post._id}
+              post={post}
+              onPostUpdated={handlePostUpdated}
+              onPostDeleted={handlePostDeleted}
+            />
+          </Suspense>
+        )}
+      </div>
+    </div>
+  );
+}
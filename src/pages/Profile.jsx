@@ -1,50 +1,26 @@
 import React, { useEffect, useState, useCallback, useMemo, Suspense, lazy } from "react";
 import { Loader2, User, AlertCircle } from "lucide-react";
+import { useParams } from "react-router-dom";
 import axios from "../api/axios";
 import { auth } from "../firebase";
-import { signOut } from "firebase/auth";
-import io from "socket.io-client";
+import { endSession } from "../session";
+import { useSocketEvent, POST_EVENTS, COMMENT_EVENTS } from "../realtime/socket";
 import { PostSkeleton } from "../components/PostSkeleton.jsx";
+import FollowButton from "../components/FollowButton";
+import MessageButton from "../components/MessageButton";
+import PendingPosts from "../components/PendingPosts";
+import LinkedAccounts from "../components/LinkedAccounts";
 
 const PostCard = lazy(() => import("../components/PostCard"));
 const PostForm = lazy(() => import("../components/PostForm"));
 
 const DEFAULT_AVATAR = "https://ui-avatars.com/api/?name=User&background=6366f1&color=fff&size=256";
 
-// Socket connection with error handling
-let socket = null;
-
-const initializeSocket = () => {
-  if (!socket) {
-    const apiUrl = import.meta.env.VITE_API_URL;
-    if (!apiUrl) {
-      console.error("VITE_API_URL is not defined");
-      return null;
-    }
-
-    socket = io(apiUrl, {
-      reconnection: true,
-      reconnectionAttempts: 5,
-      reconnectionDelay: 1000,
-      timeout: 10000,
-    });
-
-    socket.on("connect", () => {
-      console.log("Socket connected successfully");
-    });
-
-    socket.on("connect_error", (error) => {
-      console.error("Socket connection error:", error);
-    });
-
-    socket.on("disconnect", (reason) => {
-      console.log("Socket disconnected:", reason);
-    });
-  }
-  return socket;
-};
-
 export default function Profile() {
+  // /users/:uid shows someone else's profile read-only; /profile shows your own
+  const { uid: uidParam } = useParams();
+  const isOwnProfile = !uidParam || uidParam === auth.currentUser?.uid;
+
   const [user, setUser] = useState(null);
   const [posts, setPosts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -95,13 +71,12 @@ export default function Profile() {
       try {
         setLoading(true);
         setError(null);
+        setAvatarError(false);
 
-        const token = localStorage.getItem("authToken");
-        if (!token) throw new Error("No authentication token found");
-
-        axios.defaults.headers.common["Authorization"] = `Bearer ${token}`;
-
-        const resUser = await axios.get("/users/me", { timeout: 10000 });
+        const resUser = await axios.get(
+          isOwnProfile ? "/users/me" : `/users/${encodeURIComponent(uidParam)}`,
+          { timeout: 10000 }
+        );
         if (!isMounted) return;
 
         const currentUser = resUser.data.user;
@@ -123,10 +98,10 @@ export default function Profile() {
         const errorMessage = err.response?.data?.message || err.message || "Failed to load profile";
         setError(errorMessage);
 
-        if (err.response?.status === 401 || err.response?.status === 403) {
-          localStorage.removeItem("authToken");
+        // Signing out lets the route guard send the user to login and back
+        if (err.response?.status === 401) {
           setTimeout(() => {
-            window.location.href = "/login";
+            endSession().catch((error) => console.error("Sign-out error:", error));
           }, 2000);
         }
       } finally {
@@ -139,43 +114,45 @@ export default function Profile() {
     return () => {
       isMounted = false;
     };
-  }, []);
+  }, [isOwnProfile, uidParam]);
 
   // Real-time socket updates
-  useEffect(() => {
-    if (!user) return;
-    const socketInstance = initializeSocket();
-    if (!socketInstance) {
-      console.warn("Socket connection could not be established");
-      return;
+  useSocketEvent(POST_EVENTS.CREATED, (post) => {
+    if (user && post?._id && post.user?.uid === user.uid) {
+      setPosts((prev) => (prev.some((p) => p._id === post._id) ? prev : [post, ...prev]));
     }
+  });
 
-    const handlePostCreated = (post) => {
-      if (post.user?.uid === user.uid) {
-        setPosts((prev) => (prev.some((p) => p._id === post._id) ? prev : [post, ...prev]));
-      }
-    };
+  useSocketEvent(POST_EVENTS.UPDATED, (updatedPost) => {
+    if (user && updatedPost?._id && updatedPost.user?.uid === user.uid) {
+      setPosts((prev) => prev.map((p) => (p._id === updatedPost._id ? updatedPost : p)));
+    }
+  });
 
-    const handlePostUpdated = (updatedPost) => {
-      if (updatedPost.user?.uid === user.uid) {
-        setPosts((prev) => prev.map((p) => (p._id === updatedPost._id ? updatedPost : p)));
-      }
-    };
+  useSocketEvent(POST_EVENTS.REACTED, (data) => {
+    if (!data?.postId) return;
+    setPosts((prev) =>
+      prev.map((p) => (p._id === data.postId ? { ...p, reactions: data.reactions || {} } : p))
+    );
+  });
 
-    const handlePostDeleted = ({ _id }) => {
-      setPosts((prev) => prev.filter((p) => p._id !== _id));
-    };
+  const handleCommentCount = useCallback((data) => {
+    if (!data?.postId || typeof data.commentCount !== "number") return;
+    setPosts((prev) =>
+      prev.map((p) => (p._id === data.postId ? { ...p, commentCount: data.commentCount } : p))
+    );
+  }, []);
 
-    socketInstance.on("post:created", handlePostCreated);
-    socketInstance.on("post:updated", handlePostUpdated);
-    socketInstance.on("post:deleted", handlePostDeleted);
+  useSocketEvent(COMMENT_EVENTS.CREATED, handleCommentCount);
+  useSocketEvent(COMMENT_EVENTS.DELETED, handleCommentCount);
 
-    return () => {
-      socketInstance.off("post:created", handlePostCreated);
-      socketInstance.off("post:updated", handlePostUpdated);
-      socketInstance.off("post:deleted", handlePostDeleted);
-    };
-  }, [user]);
+  const handlePostRemoved = useCallback((data) => {
+    const postId = data?._id || data;
+    if (postId) setPosts((prev) => prev.filter((p) => p._id !== postId));
+  }, []);
+
+  useSocketEvent(POST_EVENTS.DELETED, handlePostRemoved);
+  useSocketEvent(POST_EVENTS.HIDDEN, handlePostRemoved);
 
   // Handle logout
   const handleLogout = useCallback(async () => {
@@ -183,15 +160,8 @@ export default function Profile() {
 
     try {
       setIsLoggingOut(true);
-      await signOut(auth);
-      localStorage.removeItem("authToken");
-
-      if (socket) {
-        socket.disconnect();
-        socket = null;
-      }
-
-      delete axios.defaults.headers.common["Authorization"];
+      // The socket provider disconnects once the auth state clears
+      await endSession();
       window.location.href = "/login";
     } catch (error) {
       console.error("Logout error:", error);
@@ -200,6 +170,17 @@ export default function Profile() {
     }
   }, [isLoggingOut]);
 
+  const handleFollowChange = useCallback(({ isFollowing, followerCount }) => {
+    setUser((prev) => ({
+      ...prev,
+      isFollowing,
+      followerCount:
+        typeof followerCount === "number"
+          ? followerCount
+          : (prev.followerCount || 0) + (isFollowing ? 1 : -1),
+    }));
+  }, []);
+
   const handlePostUpdated = useCallback((updated) => {
     setPosts((prev) => prev.map((p) => (p._id === updated._id ? updated : p)));
   }, []);
@@ -216,11 +197,13 @@ export default function Profile() {
             <User className="w-8 h-8 text-gray-400" />
           </div>
           <p className="text-gray-500 font-medium">No posts yet</p>
-          <p className="text-gray-400 text-sm">Start sharing something amazing!</p>
+          <p className="text-gray-400 text-sm">
+            {isOwnProfile ? "Start sharing something amazing!" : "Nothing shared here so far."}
+          </p>
         </div>
       </div>
     ),
-    []
+    [isOwnProfile]
   );
 
   // Loading
@@ -249,20 +232,22 @@ export default function Profile() {
             Retry
           </button>
 
-          <button
-            onClick={handleLogout}
-            disabled={isLoggingOut}
-            className="px-6 py-2 bg-red-500 text-white rounded-full hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            {isLoggingOut ? (
-              <span className="flex items-center gap-2">
-                <Loader2 className="w-4 h-4 animate-spin" />
-                Logging out...
-              </span>
-            ) : (
-              "Logout"
-            )}
-          </button>
+          {isOwnProfile && (
+            <button
+              onClick={handleLogout}
+              disabled={isLoggingOut}
+              className="px-6 py-2 bg-red-500 text-white rounded-full hover:bg-red-600 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {isLoggingOut ? (
+                <span className="flex items-center gap-2">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Logging out...
+                </span>
+              ) : (
+                "Logout"
+              )}
+            </button>
+          )}
         </div>
       </div>
     );
@@ -298,35 +283,62 @@ export default function Profile() {
             {user.displayName || user.email?.split("@")[0] || "User"}
           </h1>
 
-          {user.email && <p className="text-white/80 text-sm mt-1">{user.email}</p>}
+          {isOwnProfile && user.email && <p className="text-white/80 text-sm mt-1">{user.email}</p>}
 
-          <button
-            onClick={handleLogout}
-            disabled={isLoggingOut}
-            className="mt-4 px-6 py-2 bg-white text-purple-600 font-semibold rounded-full shadow hover:shadow-md hover:bg-purple-50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
-            aria-label="Logout"
-          >
-            {isLoggingOut ? (
-              <span className="flex items-center gap-2">
-                <Loader2 className="w-4 h-4 animate-spin" />
-                Logging out...
-              </span>
-            ) : (
-              "Logout"
-            )}
-          </button>
+          <div className="flex gap-6 mt-3 text-white text-sm">
+            <span>
+              <strong className="font-semibold">{user.followerCount || 0}</strong>{" "}
+              {user.followerCount === 1 ? "follower" : "followers"}
+            </span>
+            <span>
+              <strong className="font-semibold">{user.followingCount || 0}</strong> following
+            </span>
+          </div>
+
+          {!isOwnProfile && (
+            <div className="flex flex-wrap justify-center gap-3">
+              <FollowButton
+                uid={user.uid}
+                isFollowing={Boolean(user.isFollowing)}
+                onChange={handleFollowChange}
+              />
+              <MessageButton uid={user.uid} />
+            </div>
+          )}
+
+          {isOwnProfile && (
+            <button
+              onClick={handleLogout}
+              disabled={isLoggingOut}
+              className="mt-4 px-6 py-2 bg-white text-purple-600 font-semibold rounded-full shadow hover:shadow-md hover:bg-purple-50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+              aria-label="Logout"
+            >
+              {isLoggingOut ? (
+                <span className="flex items-center gap-2">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  Logging out...
+                </span>
+              ) : (
+                "Logout"
+              )}
+            </button>
+          )}
         </div>
       </header>
 
-      <div className="max-w-2xl mx-auto mt-6 px-4">
-        <Suspense fallback={<PostSkeleton />}>
-          <PostForm />
-        </Suspense>
-      </div>
+      {isOwnProfile && (
+        <div className="max-w-2xl mx-auto mt-6 px-4 space-y-6">
+          <LinkedAccounts />
+          <Suspense fallback={<PostSkeleton />}>
+            <PostForm />
+          </Suspense>
+          <PendingPosts />
+        </div>
+      )}
 
       <main className="max-w-3xl mx-auto mt-6 space-y-4 px-4">
         <h2 className="text-xl font-semibold text-gray-900 mb-4">
-          Your Posts ({posts.length})
+          {isOwnProfile ? "Your Posts" : "Posts"} ({posts.length})
         </h2>
 
         {posts.length === 0 ? (
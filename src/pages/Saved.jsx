@@ -0,0 +1,98 @@
+import React, { useCallback, Suspense, lazy } from "react";
+import { Loader2, AlertCircle, RefreshCw, Bookmark, Trash2 } from "lucide-react";
+import useBookmarks from "../hooks/useBookmarks";
+import { setPostSaved } from "../bookmarks/bookmarks";
+import { PostSkeleton } from "../components/PostSkeleton.jsx";
+
+const PostCard = lazy(() => import("../components/PostCard"));
+
+function UnavailablePost({ postId }) {
+  const handleRemove = async () => {
+    try {
+      await setPostSaved(postId, false);
+    } catch (err) {
+      console.error("Failed to remove saved post:", err);
+      alert(err.response?.data?.message || err.message || "Failed to remove saved post");
+    }
+  };
+
+  return (
+    <div className="flex items-center justify-between gap-4 bg-white rounded-2xl border border-dashed border-gray-200 px-5 py-4">
+      <p className="text-sm text-gray-500">This post is no longer available.</p>
+      <button
+        onClick={handleRemove}
+        className="flex items-center gap-1.5 text-sm text-gray-500 hover:text-red-600 px-3 py-1.5 rounded-full hover:bg-red-50 transition-colors"
+      >
+        <Trash2 size={14} />
+        Remove
+      </button>
+    </div>
+  );
+}
+
+export default function Saved() {
+  const { bookmarks, loading, hasMore, error, lastItemRef, retry, updatePost, markDeleted } = useBookmarks();
+
+  const handlePostUpdated = useCallback(
+    (updatedPost) => updatePost(updatedPost._id, () => updatedPost),
+    [updatePost]
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 pb-10">
+      <main className="max-w-2xl mx-auto px-4 pt-6">
+        <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+          <Bookmark className="w-6 h-6 text-blue-600" />
+          Saved posts
+        </h1>
+
+        <div className="mt-6 space-y-4">
+          <Suspense fallback={<PostSkeleton />}>
+            {bookmarks.map((bookmark, index) => (
+              <div key={bookmark.postId} ref={index === bookmarks.length - 1 ? lastItemRef : null}>
+                {bookmark.post ? (
+                  <PostCard post={bookmark.post} onPostUpdated={handlePostUpdated} onPostDeleted={markDeleted} />
+                ) : (
+                  <UnavailablePost postId={bookmark.postId} />
+                )}
+              </div>
+            ))}
+          </Suspense>
+
+          {loading && (
+            <div className="flex justify-center py-8">
+              <Loader2 className="w-6 h-6 animate-spin text-blue-600" aria-label="Loading saved posts" />
+            </div>
+          )}
+
+          {error && (
+            <div className="text-center py-6">
+              <p className="text-red-600 text-sm mb-3 flex items-center justify-center gap-2">
+                <AlertCircle size={16} />
+                {error}
+              </p>
+              <button
+                onClick={retry}
+                className="inline-flex items-center gap-2 px-4 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+              >
+                <RefreshCw size={14} />
+                Try again
+              </button>
+            </div>
+          )}
+
+          {!loading && !error && bookmarks.length === 0 && (
+            <div className="text-center py-12 bg-white rounded-2xl shadow-sm border border-gray-100">
+              <p className="text-gray-500 font-medium">Nothing saved yet</p>
+              <p className="text-gray-400 text-sm mt-1">Use the bookmark on any post to keep it here.</p>
+            </div>
+          )}
+
+          {!loading && !error && !hasMore && bookmarks.length > 0 && (
+            <p className="text-center text-gray-400 text-sm py-6">That's everything</p>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,203 @@
+import React, { useCallback, Suspense, lazy } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { Loader2, AlertCircle, RefreshCw, Search as SearchIcon } from "lucide-react";
+import { searchPosts } from "../api/posts";
+import { searchUsers } from "../api/users";
+import useSearchResults from "../hooks/useSearchResults";
+import { mentionHandle } from "../utils/richText";
+import { PostSkeleton } from "../components/PostSkeleton.jsx";
+import SearchBox from "../components/SearchBox";
+import HighlightedText from "../components/HighlightedText";
+
+const PostCard = lazy(() => import("../components/PostCard"));
+
+const SEARCH_TABS = [
+  { id: "posts", label: "Posts" },
+  { id: "people", label: "People" },
+];
+
+const avatarFor = (user) =>
+  user.avatar ||
+  `https://ui-avatars.com/api/?name=${encodeURIComponent(user.displayName || "User")}&background=3b82f6&color=fff`;
+
+function SearchStatus({ loading, error, hasMore, count, retry, noun }) {
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-blue-600" aria-label={`Loading ${noun}`} />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="text-center py-6">
+        <p className="text-red-600 text-sm mb-3 flex items-center justify-center gap-2">
+          <AlertCircle size={16} />
+          {error}
+        </p>
+        <button
+          onClick={retry}
+          className="inline-flex items-center gap-2 px-4 py-2 text-sm text-blue-600 hover:bg-blue-50 rounded-full transition-colors"
+        >
+          <RefreshCw size={14} />
+          Try again
+        </button>
+      </div>
+    );
+  }
+
+  if (count === 0) {
+    return <p className="text-center text-gray-500 py-12">No {noun} match your search.</p>;
+  }
+
+  if (!hasMore) {
+    return <p className="text-center text-gray-400 text-sm py-6">That's everything</p>;
+  }
+
+  return null;
+}
+
+function PostResults({ query }) {
+  const { results, setResults, loading, hasMore, error, lastItemRef, retry } = useSearchResults(
+    searchPosts,
+    query
+  );
+
+  const handlePostUpdated = useCallback((updatedPost) => {
+    setResults((prev) => prev.map((post) => (post._id === updatedPost._id ? updatedPost : post)));
+  }, [setResults]);
+
+  const handlePostDeleted = useCallback((postId) => {
+    setResults((prev) => prev.filter((post) => post._id !== postId));
+  }, [setResults]);
+
+  return (
+    <div className="mt-4 space-y-4">
+      <Suspense fallback={<PostSkeleton />}>
+        {results.map((post, index) => (
+          <div key={post._id} ref={index === results.length - 1 ? lastItemRef : null}>
+            <PostCard
+              post={post}
+              highlight={query}
+              onPostUpdated={handlePostUpdated}
+              onPostDeleted={handlePostDeleted}
+            />
+          </div>
+        ))}
+      </Suspense>
+      <SearchStatus
+        loading={loading}
+        error={error}
+        hasMore={hasMore}
+        count={results.length}
+        retry={retry}
+        noun="posts"
+      />
+    </div>
+  );
+}
+
+function PeopleResults({ query }) {
+  const { results, loading, hasMore, error, lastItemRef, retry } = useSearchResults(searchUsers, query);
+
+  return (
+    <div className="mt-4">
+      {results.length > 0 && (
+        <ul className="bg-white rounded-2xl shadow-sm border border-gray-100 divide-y divide-gray-100">
+          {results.map((user, index) => (
+            <li key={user.uid} ref={index === results.length - 1 ? lastItemRef : null}>
+              <Link
+                to={`/users/${encodeURIComponent(user.uid)}`}
+                className="flex items-center gap-3 p-4 hover:bg-gray-50 transition-colors"
+              >
+                <img src={avatarFor(user)} alt="" className="w-11 h-11 rounded-full object-cover" />
+                <div className="min-w-0">
+                  <p className="font-semibold text-gray-900 truncate">
+                    <HighlightedText text={user.displayName || "User"} query={query} />
+                  </p>
+                  {mentionHandle(user) && (
+                    <p className="text-sm text-gray-500 truncate">
+                      @<HighlightedText text={mentionHandle(user)} query={query} />
+                    </p>
+                  )}
+                </div>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+      <SearchStatus
+        loading={loading}
+        error={error}
+        hasMore={hasMore}
+        count={results.length}
+        retry={retry}
+        noun="people"
+      />
+    </div>
+  );
+}
+
+// Search results for ?q=, split into Posts and People tabs (?tab=)
+export default function Search() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = (searchParams.get("q") || "").trim();
+  const activeTab = searchParams.get("tab") === "people" ? "people" : "posts";
+
+  const selectTab = (tabId) => {
+    const params = new URLSearchParams(searchParams);
+    params.set("tab", tabId);
+    setSearchParams(params);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <div className="max-w-2xl mx-auto py-6 px-4">
+        {/* The navbar box is hidden on small screens */}
+        <SearchBox className="md:hidden mb-4 [&_input]:border [&_input]:border-gray-200" />
+
+        <div
+          className="flex gap-1 bg-white rounded-full shadow-sm border border-gray-100 p-1"
+          role="tablist"
+          aria-label="Search results"
+        >
+          {SEARCH_TABS.map((tab) => (
+            <button
+              key={tab.id}
+              id={`search-tab-${tab.id}`}
+              onClick={() => selectTab(tab.id)}
+              className={`flex-1 px-4 py-2 text-sm font-semibold rounded-full transition-colors ${
+                activeTab === tab.id
+                  ? "bg-blue-600 text-white shadow"
+                  : "text-gray-600 hover:bg-gray-50"
+              }`}
+              role="tab"
+              aria-selected={activeTab === tab.id}
+              aria-controls={`search-panel-${tab.id}`}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        <div
+          id={`search-panel-${activeTab}`}
+          role="tabpanel"
+          aria-labelledby={`search-tab-${activeTab}`}
+        >
+          {!query ? (
+            <div className="text-center py-16 text-gray-500">
+              <SearchIcon className="w-10 h-10 mx-auto mb-3 text-gray-300" />
+              Search for posts or people by name
+            </div>
+          ) : activeTab === "posts" ? (
+            <PostResults query={query} />
+          ) : (
+            <PeopleResults query={query} />
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,47 @@
+import React, { useCallback } from "react";
+import { Link, useParams } from "react-router-dom";
+import { ArrowLeft, Hash } from "lucide-react";
+import PostFeed from "../components/PostFeed";
+import { extractTags, normalizeTag } from "../utils/richText";
+import { getTaggableText } from "../utils/markdown";
+
+// Live feed of every post tagged #tag
+export default function TagFeed() {
+  const { tag: tagParam } = useParams();
+  const tag = normalizeTag(tagParam || "");
+
+  const hasTag = useCallback(
+    (post) => (post.tags || extractTags(getTaggableText(post.content))).includes(tag),
+    [tag]
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-gray-100">
+      <div className="max-w-2xl mx-auto py-6 px-4">
+        <Link
+          to="/dashboard"
+          className="inline-flex items-center gap-1.5 text-sm text-gray-600 hover:text-blue-600 transition-colors mb-4"
+        >
+          <ArrowLeft size={16} />
+          Back to feed
+        </Link>
+
+        <div className="flex items-center gap-3 bg-white rounded-2xl shadow-sm border border-gray-100 p-5">
+          <div className="w-12 h-12 rounded-full bg-blue-50 flex items-center justify-center">
+            <Hash size={24} className="text-blue-600" />
+          </div>
+          <h1 className="text-xl font-bold text-gray-900 break-all">#{tag}</h1>
+        </div>
+
+        {/* Keyed so switching tags starts a fresh feed */}
+        <PostFeed
+          key={tag}
+          query={`tag=${encodeURIComponent(tag)}`}
+          acceptPost={hasTag}
+          emptyTitle={`No posts tagged #${tag}`}
+          emptyMessage="Posts using this tag will show up here."
+        />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import React, { useEffect, useState, useCallback, useMemo, useRef } from "react";
+import io from "socket.io-client";
+import { API_URL } from "../api/axios";
+import { getIdToken } from "../session";
+import {
+  SocketContext,
+  POST_EVENTS,
+  COMMENT_EVENTS,
+  NOTIFICATION_EVENTS,
+  MESSAGE_EVENTS,
+  CONNECTION_EVENTS,
+  CONNECTION_STATUS,
+} from "./socket";
+
+const KNOWN_EVENTS = new Set([
+  ...Object.values(POST_EVENTS),
+  ...Object.values(COMMENT_EVENTS),
+  ...Object.values(NOTIFICATION_EVENTS),
+  ...Object.values(MESSAGE_EVENTS),
+  ...Object.values(CONNECTION_EVENTS),
+]);
+
+// Owns the app's single socket.io connection. It is opened while a user is
+// signed in and torn down as soon as they sign out.
+export default function SocketProvider({ user, children }) {
+  const [socket, setSocket] = useState(null);
+  const [status, setStatus] = useState(CONNECTION_STATUS.OFFLINE);
+  const reconnectListenersRef = useRef(new Set());
+  const uid = user?.uid;
+
+  useEffect(() => {
+    if (!uid) return;
+
+    const socketInstance = io(API_URL, {
+      reconnection: true,
+      reconnectionAttempts: 5,
+      reconnectionDelay: 1000,
+      reconnectionDelayMax: 5000,
+      timeout: 10000,
+      transports: ["websocket", "polling"],
+      // Called on every (re)connect, so the server always gets a fresh token
+      auth: (cb) => {
+        getIdToken()
+          .then((token) => cb({ token }))
+          .catch((error) => {
+            console.error("Socket auth token error:", error);
+            cb({});
+          });
+      },
+    });
+
+    setStatus(CONNECTION_STATUS.CONNECTING);
+    let hasConnected = false;
+
+    socketInstance.on("connect", () => {
+      console.log("Socket connected:", socketInstance.id);
+      setStatus(CONNECTION_STATUS.LIVE);
+
+      // Covers both automatic reconnects and manual ones after going offline
+      if (hasConnected) {
+        reconnectListenersRef.current.forEach((listener) => listener());
+      }
+      hasConnected = true;
+    });
+
+    socketInstance.on("connect_error", (error) => {
+      console.error("Socket connection error:", error.message);
+    });
+
+    socketInstance.on("disconnect", (reason) => {
+      console.log("Socket disconnected:", reason);
+      // Only a client-initiated disconnect stops the automatic reconnection
+      setStatus(
+        reason === "io client disconnect"
+          ? CONNECTION_STATUS.OFFLINE
+          : CONNECTION_STATUS.RECONNECTING
+      );
+    });
+
+    socketInstance.io.on("reconnect_attempt", () => {
+      setStatus(CONNECTION_STATUS.RECONNECTING);
+    });
+
+    socketInstance.io.on("reconnect_failed", () => {
+      console.warn("Socket gave up reconnecting");
+      setStatus(CONNECTION_STATUS.OFFLINE);
+    });
+
+    // Try again once the browser is back online after giving up
+    const handleOnline = () => {
+      if (!socketInstance.connected) socketInstance.connect();
+    };
+    window.addEventListener("online", handleOnline);
+
+    setSocket(socketInstance);
+
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      socketInstance.removeAllListeners();
+      socketInstance.io.removeAllListeners();
+      socketInstance.disconnect();
+      setSocket(null);
+      setStatus(CONNECTION_STATUS.OFFLINE);
+    };
+  }, [uid]);
+
+  // Returns an unsubscribe function
+  const subscribe = useCallback(
+    (event, handler) => {
+      if (!KNOWN_EVENTS.has(event)) {
+        console.warn("Unknown socket event:", event);
+        return () => {};
+      }
+      if (event === CONNECTION_EVENTS.RECONNECTED) {
+        const listeners = reconnectListenersRef.current;
+        listeners.add(handler);
+        return () => listeners.delete(handler);
+      }
+      if (!socket) return () => {};
+
+      socket.on(event, handler);
+      return () => socket.off(event, handler);
+    },
+    [socket]
+  );
+
+  // Fire-and-forget; dropped while disconnected rather than buffered
+  const emit = useCallback(
+    (event, payload) => {
+      if (socket?.connected) socket.emit(event, payload);
+    },
+    [socket]
+  );
+
+  const value = useMemo(
+    () => ({ socket, status, subscribe, emit }),
+    [socket, status, subscribe, emit]
+  );
+
+  return <SocketContext.Provider value={value}>{children}</SocketContext.Provider>;
+}
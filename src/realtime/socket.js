@@ -0,0 +1,81 @@
+import { createContext, useContext, useEffect, useRef } from "react";
+
+// Feed events the server broadcasts
+export const POST_EVENTS = Object.freeze({
+  CREATED: "post:created",
+  UPDATED: "post:updated",
+  DELETED: "post:deleted",
+  // Payload: { _id }; taken down by a moderator, so drop it like a deleted post
+  HIDDEN: "post:hidden",
+  // Payload: { postId, reactions }
+  REACTED: "post:reacted",
+});
+
+// Comment events, scoped to a post by the payload's postId
+export const COMMENT_EVENTS = Object.freeze({
+  // Payload: { postId, comment, commentCount }
+  CREATED: "comment:created",
+  // Payload: { postId, comment }
+  UPDATED: "comment:updated",
+  // Payload: { postId, commentId, parentId, commentCount }
+  DELETED: "comment:deleted",
+});
+
+// Sent only to the signed-in user: the server puts each authenticated socket
+// in that user's own room, so these never reach anyone else
+export const NOTIFICATION_EVENTS = Object.freeze({
+  // Payload: { notification, unreadCount }
+  CREATED: "notification:created",
+  // Payload: { ids, all, unreadCount }, e.g. when read in another tab
+  READ: "notification:read",
+});
+
+// Direct messages, delivered to both participants' own rooms
+export const MESSAGE_EVENTS = Object.freeze({
+  // Payload: { conversation, message, unreadCount }, unreadCount being the
+  // receiving user's total across all conversations
+  CREATED: "message:created",
+  // Payload: { conversationId, readerUid, readAt, unreadCount }
+  READ: "message:read",
+  // Sent by the client as { conversationId, typing } and relayed to the other
+  // participant as { conversationId, uid, typing }
+  TYPING: "message:typing",
+});
+
+// Client-side connection events, dispatched by the provider rather than the server
+export const CONNECTION_EVENTS = Object.freeze({
+  // Fired when the socket connects again after having been connected before
+  RECONNECTED: "connection:reconnected",
+});
+
+// Connection states surfaced to the UI
+export const CONNECTION_STATUS = Object.freeze({
+  CONNECTING: "connecting",
+  LIVE: "live",
+  RECONNECTING: "reconnecting",
+  OFFLINE: "offline",
+});
+
+export const SocketContext = createContext({
+  socket: null,
+  status: CONNECTION_STATUS.OFFLINE,
+  subscribe: () => () => {},
+  emit: () => {},
+});
+
+export const useSocket = () => useContext(SocketContext);
+
+// Subscribe to a socket event for the lifetime of the calling component.
+// The latest handler is always used, so callers don't need to memoize it.
+export const useSocketEvent = (event, handler) => {
+  const { subscribe } = useSocket();
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  }, [handler]);
+
+  useEffect(() => {
+    return subscribe(event, (...args) => handlerRef.current(...args));
+  }, [subscribe, event]);
+};
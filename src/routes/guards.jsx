@@ -0,0 +1,39 @@
+import React from "react";
+import { Navigate, Outlet, useLocation, useSearchParams } from "react-router-dom";
+import { Loader2 } from "lucide-react";
+import useRoles from "../hooks/useRoles";
+import { hasRole } from "../utils/permissions";
+import { loginPath, safeRedirectPath, REDIRECT_PARAM } from "../utils/redirect";
+import Forbidden from "../pages/Forbidden";
+
+// Layout routes guarding their child routes; see App.jsx
+
+// Signed-in users only; others go to /login, which brings them back here
+export function RequireAuth({ user }) {
+  const location = useLocation();
+  return user ? <Outlet /> : <Navigate to={loginPath(location)} replace />;
+}
+
+// Signed-in users holding `role` (admins hold every role); others get a 403.
+// Nest inside RequireAuth.
+export function RequireRole({ role }) {
+  const roles = useRoles();
+
+  if (!roles) {
+    return (
+      <div className="h-screen flex items-center justify-center">
+        <Loader2 className="w-8 h-8 animate-spin text-blue-600" aria-label="Checking access" />
+      </div>
+    );
+  }
+
+  return hasRole(roles, role) ? <Outlet /> : <Forbidden />;
+}
+
+// Signed-out users only, e.g. the login page. Once signed in, continue to
+// the page that sent them here.
+export function GuestOnly({ user }) {
+  const [searchParams] = useSearchParams();
+  if (!user) return <Outlet />;
+  return <Navigate to={safeRedirectPath(searchParams.get(REDIRECT_PARAM))} replace />;
+}
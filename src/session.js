@@ -0,0 +1,73 @@
+import { onIdTokenChanged, signOut } from "firebase/auth";
+import { auth } from "./firebase";
+import { rolesFromClaims } from "./utils/permissions";
+
+// Single source of truth for the signed-in user's Firebase ID token.
+// Firebase refreshes ID tokens roughly every hour; everything that talks to
+// the API should ask this module for a token instead of caching its own copy.
+
+// Roles come from the token's custom claims, so they follow the same lifecycle.
+// They're tracked per uid so a fresh sign-in never sees the previous user's roles.
+
+let currentToken = null;
+let currentRoles = [];
+let rolesUid = undefined;
+let refreshPromise = null;
+const listeners = new Set();
+
+onIdTokenChanged(auth, async (user) => {
+  try {
+    const result = user ? await user.getIdTokenResult() : null;
+    currentToken = result?.token || null;
+    currentRoles = result ? rolesFromClaims(result.claims) : [];
+  } catch (error) {
+    console.error("Failed to read ID token:", error);
+    currentToken = null;
+    currentRoles = [];
+  }
+  rolesUid = user?.uid ?? null;
+  listeners.forEach((listener) => listener(currentToken, user));
+});
+
+// The signed-in user's roles, or null while they're still being read
+export const getRoles = () => (rolesUid === (auth.currentUser?.uid ?? null) ? currentRoles : null);
+
+// Returns a valid ID token, letting Firebase refresh it if it is about to expire
+export const getIdToken = async () => {
+  await auth.authStateReady();
+  const user = auth.currentUser;
+  if (!user) return null;
+
+  currentToken = await user.getIdToken();
+  return currentToken;
+};
+
+// Forces a refresh; concurrent callers share the same in-flight request
+export const refreshIdToken = () => {
+  const user = auth.currentUser;
+  if (!user) return Promise.resolve(null);
+
+  if (!refreshPromise) {
+    refreshPromise = user
+      .getIdToken(true)
+      .then((token) => {
+        currentToken = token;
+        return token;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Subscribe to token changes (sign-in, sign-out and background refreshes)
+export const onTokenChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const endSession = async () => {
+  await signOut(auth);
+  currentToken = null;
+};
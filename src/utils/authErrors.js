@@ -0,0 +1,41 @@
+// Human-readable messages for Firebase Auth error codes
+const AUTH_ERROR_MESSAGES = {
+  "auth/invalid-email": "That email address doesn't look right.",
+  "auth/missing-password": "Enter your password.",
+  "auth/weak-password": "Choose a password with at least 6 characters.",
+  "auth/email-already-in-use": "An account with this email already exists. Sign in instead.",
+  "auth/invalid-credential": "Wrong email or password.",
+  "auth/wrong-password": "Wrong email or password.",
+  "auth/user-not-found": "Wrong email or password.",
+  "auth/user-disabled": "This account has been disabled.",
+  "auth/too-many-requests": "Too many attempts. Wait a moment and try again.",
+  "auth/network-request-failed": "You appear to be offline. Check your connection and try again.",
+  "auth/popup-closed-by-user": "The sign-in window was closed before finishing.",
+  "auth/cancelled-popup-request": "The sign-in window was closed before finishing.",
+  "auth/invalid-action-code": "This sign-in link is invalid or has already been used.",
+  "auth/expired-action-code": "This sign-in link has expired. Request a new one.",
+  "auth/credential-already-in-use": "That account is already linked to a different user.",
+  "auth/provider-already-linked": "That sign-in method is already linked to your account.",
+  "auth/requires-recent-login": "For your security, sign out and back in, then try again.",
+  "auth/no-such-provider": "That sign-in method isn't linked to your account.",
+};
+
+const PROVIDER_NAMES = {
+  "google.com": "Google",
+  "github.com": "GitHub",
+  password: "email and password",
+};
+
+export const providerName = (providerId) => PROVIDER_NAMES[providerId] || providerId;
+
+export const authErrorMessage = (error) => {
+  if (error?.code === "auth/account-exists-with-different-credential") {
+    const email = error.customData?.email;
+    return `${email ? `${email} is` : "This email is"} already registered with another sign-in method. Sign in that way and we'll link this one to your account.`;
+  }
+  return AUTH_ERROR_MESSAGES[error?.code] || error?.message || "Something went wrong. Please try again.";
+};
+
+// User closed the popup themselves; nothing worth showing
+export const isAuthCancellation = (error) =>
+  error?.code === "auth/popup-closed-by-user" || error?.code === "auth/cancelled-popup-request";
@@ -0,0 +1,33 @@
+// Helpers shared by the post feeds
+
+// Appends posts that aren't already in the list (dedupe by _id)
+export const appendUniquePosts = (prev, incoming) => {
+  const existingIds = new Set(prev.map((p) => p._id));
+  const uniqueNewPosts = incoming.filter((p) => !existingIds.has(p._id));
+  return [...prev, ...uniqueNewPosts];
+};
+
+// Prepends posts that aren't already in the list (dedupe by _id)
+export const prependUniquePosts = (prev, incoming) => {
+  const existingIds = new Set(prev.map((p) => p._id));
+  const uniqueNewPosts = incoming.filter((p) => !existingIds.has(p._id));
+  return uniqueNewPosts.length ? [...uniqueNewPosts, ...prev] : prev;
+};
+
+// Swaps in newer versions of posts already in the list; ignores the rest
+export const replaceExistingPosts = (prev, changed) => {
+  const changedById = new Map(changed.map((p) => [p._id, p]));
+  return prev.map((p) => changedById.get(p._id) || p);
+};
+
+// Latest createdAt/updatedAt across the given posts, as an ISO string
+export const newestTimestamp = (posts, current = null) => {
+  let newest = current ? new Date(current).getTime() : 0;
+
+  posts.forEach((post) => {
+    const time = new Date(post?.updatedAt || post?.createdAt).getTime();
+    if (!Number.isNaN(time) && time > newest) newest = time;
+  });
+
+  return newest ? new Date(newest).toISOString() : null;
+};
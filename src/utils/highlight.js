@@ -0,0 +1,22 @@
+// Splitting text around search terms so matches can be wrapped in <mark>
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive pattern matching any word of `query`, or null for an empty query
+export const buildHighlightPattern = (query = "") => {
+  const terms = [...new Set(query.trim().split(/\s+/).filter(Boolean))]
+    // Longest first so "react" wins over "re"
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  return terms.length > 0 ? new RegExp(`(${terms.join("|")})`, "giu") : null;
+};
+
+// [{ text, match }] covering all of `text`
+export const splitHighlights = (text, pattern) => {
+  if (!pattern || !text) return [{ text, match: false }];
+  // With a capturing group, split puts the matches at the odd indexes
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter((part) => part.text);
+};
@@ -0,0 +1,5 @@
+// Random unique id, e.g. for drafts, optimistic messages and idempotency keys
+export const createId = () =>
+  window.crypto?.randomUUID
+    ? window.crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
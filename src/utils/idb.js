@@ -0,0 +1,65 @@
+// Minimal promise wrapper around IndexedDB for the app's local stores.
+// Bump DB_VERSION whenever a store is added to STORES.
+
+const DB_NAME = "demo-client";
+const DB_VERSION = 2;
+
+// Store name -> keyPath
+const STORES = {
+  outbox: "id",
+  drafts: "id",
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not supported in this browser"));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, keyPath]) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath });
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Allow a later call to try again
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Runs `action(store)` in a transaction and resolves with the request's result
+const withStore = async (storeName, mode, action) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const idbGetAll = (storeName) => withStore(storeName, "readonly", (store) => store.getAll());
+
+export const idbGet = (storeName, key) => withStore(storeName, "readonly", (store) => store.get(key));
+
+export const idbPut = (storeName, value) => withStore(storeName, "readwrite", (store) => store.put(value));
+
+export const idbDelete = (storeName, key) => withStore(storeName, "readwrite", (store) => store.delete(key));
@@ -0,0 +1,92 @@
+// In-browser image resizing before upload. Re-encoding through a canvas also
+// drops EXIF metadata (including GPS location); orientation is applied to the
+// pixels first so photos don't end up sideways.
+
+export const IMAGE_MAX_DIMENSION = Number(import.meta.env.VITE_IMAGE_MAX_DIMENSION) || 2048;
+export const IMAGE_QUALITY = Number(import.meta.env.VITE_IMAGE_QUALITY) || 0.85;
+
+// Animated and vector formats would be flattened by a canvas, so they're sent as-is
+const SKIPPED_TYPES = ["image/gif", "image/svg+xml"];
+
+// Formats that can carry transparency keep their type; everything else becomes JPEG
+const OUTPUT_TYPES = {
+  "image/png": "image/png",
+  "image/webp": "image/webp",
+};
+
+// Fallback for browsers without createImageBitmap options. <img> applies
+// EXIF orientation by default (`image-orientation: from-image`).
+const loadImageElement = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not read image"));
+    };
+    img.src = url;
+  });
+
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === "function") {
+    try {
+      return await createImageBitmap(file, { imageOrientation: "from-image" });
+    } catch {
+      // Unsupported options or format, try the <img> route
+    }
+  }
+  return loadImageElement(file);
+};
+
+const renderToBlob = async (source, width, height, type, quality) => {
+  if (typeof OffscreenCanvas === "function") {
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext("2d").drawImage(source, 0, 0, width, height);
+    return canvas.convertToBlob({ type, quality });
+  }
+
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext("2d").drawImage(source, 0, 0, width, height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) => (blob ? resolve(blob) : reject(new Error("Could not encode image"))),
+      type,
+      quality
+    );
+  });
+};
+
+// Scales `file` down to fit within `maxDimension` and re-encodes it.
+// Resolves with the original file if it can't be processed.
+export const compressImage = async (
+  file,
+  { maxDimension = IMAGE_MAX_DIMENSION, quality = IMAGE_QUALITY } = {}
+) => {
+  if (!file?.type?.startsWith("image/") || SKIPPED_TYPES.includes(file.type)) return file;
+
+  try {
+    const source = await decodeImage(file);
+    const sourceWidth = source.naturalWidth || source.width;
+    const sourceHeight = source.naturalHeight || source.height;
+    const scale = Math.min(1, maxDimension / Math.max(sourceWidth, sourceHeight));
+    const width = Math.max(1, Math.round(sourceWidth * scale));
+    const height = Math.max(1, Math.round(sourceHeight * scale));
+    const type = OUTPUT_TYPES[file.type] || "image/jpeg";
+
+    const blob = await renderToBlob(source, width, height, type, quality);
+    source.close?.();
+
+    const extension = type.split("/")[1].replace("jpeg", "jpg");
+    const name = file.name ? file.name.replace(/\.[^.]+$/, "") : "image";
+    return new File([blob], `${name}.${extension}`, { type, lastModified: Date.now() });
+  } catch (err) {
+    console.warn("Image compression skipped:", err.message);
+    return file;
+  }
+};
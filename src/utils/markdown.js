@@ -0,0 +1,204 @@
+// Parser for the Markdown subset allowed in posts: **bold**, *italic* / _italic_,
+// `inline code`, ``` fenced blocks ```, - / 1. lists, [links](url) and bare URLs.
+//
+// It only produces a small tree that PostContent turns into React elements, so
+// raw HTML in a post is always shown as text. Link targets are limited to
+// http(s) and mailto; anything else stays plain text.
+//
+// Block: { type: "paragraph", text } | { type: "code", lang, text }
+//      | { type: "list", ordered, start, items: [text] }
+//   Every block also has `blankLinesBefore`, the blank lines separating it
+//   from the previous block, so the renderer can keep the author's spacing.
+// Inline: { type: "text", value } | { type: "code", value }
+//       | { type: "strong" | "em", children } | { type: "link", href, children }
+
+const SAFE_PROTOCOLS = ["http:", "https:", "mailto:"];
+
+const FENCE_PATTERN = /^\s*```\s*([\w+-]*)\s*$/;
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_PATTERN = /^\s*(\d{1,9})[.)]\s+(.*)$/;
+
+const INLINE_PATTERN = new RegExp(
+  [
+    "`(?<code>[^`\\n]+)`",
+    "\\[(?<linkText>[^\\]\\n]+)\\]\\((?<linkHref>[^\\s)]+)\\)",
+    "\\*\\*(?<strong>\\S(?:[^\\n]*?\\S)?)\\*\\*(?!\\*)",
+    "(?<![\\p{L}\\p{N}_*])\\*(?<emStar>[^\\s*](?:[^*\\n]*?[^\\s*])?)\\*(?![\\p{L}\\p{N}_*])",
+    "(?<![\\p{L}\\p{N}_])_(?<emUnderscore>[^\\s_](?:[^_\\n]*?[^\\s_])?)_(?![\\p{L}\\p{N}_])",
+    // Trailing punctuation is more likely the end of the sentence than the URL
+    "(?<url>https?:\\/\\/[^\\s<>\"]*[^\\s<>\".,:;'!?)\\]])",
+  ].join("|"),
+  "gu"
+);
+
+// Returns the normalized URL if it's safe to link to, otherwise null
+export const safeHref = (url) => {
+  try {
+    const parsed = new URL(url);
+    return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+  } catch {
+    return null;
+  }
+};
+
+const pushText = (nodes, value) => {
+  if (!value) return;
+  const last = nodes[nodes.length - 1];
+  if (last?.type === "text") last.value += value;
+  else nodes.push({ type: "text", value });
+};
+
+// Inline nodes for `text`. Links can't nest, so inside one they stay text.
+export const parseInline = (text, { allowLinks = true } = {}) => {
+  const nodes = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const { code, linkText, linkHref, strong, emStar, emUnderscore, url } = match.groups;
+    pushText(nodes, text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    if (code !== undefined) {
+      nodes.push({ type: "code", value: code });
+    } else if (strong !== undefined) {
+      nodes.push({ type: "strong", children: parseInline(strong, { allowLinks }) });
+    } else if (emStar !== undefined || emUnderscore !== undefined) {
+      nodes.push({ type: "em", children: parseInline(emStar ?? emUnderscore, { allowLinks }) });
+    } else if (linkText !== undefined) {
+      const href = allowLinks && safeHref(linkHref);
+      if (href) nodes.push({ type: "link", href, children: parseInline(linkText, { allowLinks: false }) });
+      else pushText(nodes, match[0]);
+    } else if (url !== undefined) {
+      const href = allowLinks && safeHref(url);
+      if (href) nodes.push({ type: "link", href, children: [{ type: "text", value: url }] });
+      else pushText(nodes, match[0]);
+    }
+  }
+
+  pushText(nodes, text.slice(lastIndex));
+  return nodes;
+};
+
+const listItemOf = (line) => {
+  const bullet = line.match(BULLET_PATTERN);
+  if (bullet) return { ordered: false, text: bullet[1] };
+  const ordered = line.match(ORDERED_PATTERN);
+  if (ordered) return { ordered: true, start: Number(ordered[1]), text: ordered[2] };
+  return null;
+};
+
+// Blocks for `content`. Runs of ordinary lines, blank lines included, stay a
+// single paragraph so plain-text posts keep their exact line breaks. Like
+// CommonMark, a numbered line only starts a list in the middle of a paragraph
+// when it's numbered 1, so "born in\n1984. Good year" stays text.
+export const parseMarkdown = (content = "") => {
+  const lines = content.replace(/\r\n?/g, "\n").split("\n");
+  const blocks = [];
+  let paragraph = [];
+  // Blank lines seen since the last block ended
+  let blankLines = 0;
+
+  const pushBlock = (block) => {
+    blocks.push({ ...block, blankLinesBefore: blocks.length > 0 ? blankLines : 0 });
+    blankLines = 0;
+  };
+
+  const flushParagraph = () => {
+    const leading = paragraph.findIndex((line) => line.trim());
+    if (leading === -1) {
+      blankLines += paragraph.length;
+    } else {
+      let end = paragraph.length;
+      while (!paragraph[end - 1].trim()) end--;
+      blankLines += leading;
+      pushBlock({ type: "paragraph", text: paragraph.slice(leading, end).join("\n") });
+      blankLines = paragraph.length - end;
+    }
+    paragraph = [];
+  };
+
+  const inParagraph = () => paragraph.length > 0 && Boolean(paragraph[paragraph.length - 1].trim());
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      // An unclosed fence runs to the end of the post
+      while (++i < lines.length && !FENCE_PATTERN.test(lines[i])) code.push(lines[i]);
+      pushBlock({ type: "code", lang: fence[1], text: code.join("\n") });
+      continue;
+    }
+
+    const item = listItemOf(line);
+    if (item && !(item.ordered && item.start !== 1 && inParagraph())) {
+      flushParagraph();
+      const items = [item.text];
+      while (i + 1 < lines.length) {
+        const next = listItemOf(lines[i + 1]);
+        if (!next || next.ordered !== item.ordered) break;
+        items.push(next.text);
+        i++;
+      }
+      pushBlock({ type: "list", ordered: item.ordered, start: item.start, items });
+      continue;
+    }
+
+    paragraph.push(line);
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+// Inline nodes of every paragraph and list item; code blocks have none
+const inlineTrees = (content) =>
+  parseMarkdown(content).flatMap((block) => {
+    if (block.type === "code") return [];
+    const texts = block.type === "list" ? block.items : [block.text];
+    return texts.map((text) => parseInline(text));
+  });
+
+const findLink = (nodes) => {
+  for (const node of nodes) {
+    // mailto: links have nothing to unfurl
+    if (node.type === "link" && /^https?:/.test(node.href)) return node.href;
+    const nested = node.children && findLink(node.children);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+// The first link in `content` outside code blocks, used for its preview card
+export const getFirstLink = (content = "") => {
+  for (const nodes of inlineTrees(content)) {
+    const href = findLink(nodes);
+    if (href) return href;
+  }
+  return null;
+};
+
+const collectText = (nodes, texts) => {
+  for (const node of nodes) {
+    if (node.type === "text") texts.push(node.value);
+    // Code is literal and a link's text can't hold other links
+    else if (node.type === "strong" || node.type === "em") collectText(node.children, texts);
+  }
+  return texts;
+};
+
+// The text PostContent looks for #tags and @mentions in: everything outside
+// code and links, one line per text run so runs can't join into one token
+export const getTaggableText = (content = "") =>
+  inlineTrees(content)
+    .flatMap((nodes) => collectText(nodes, []))
+    .join("\n");
+
+// The link to show a preview card for: the first one, unless its card was
+// removed by the author
+export const getPreviewLink = (content, dismissedLinkUrl = null) => {
+  const link = getFirstLink(content);
+  return link && link !== dismissedLinkUrl ? link : null;
+};
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractTags } from "./richText.js";
+import { parseMarkdown, parseInline, getFirstLink, getTaggableText } from "./markdown.js";
+
+const paragraph = (text, blankLinesBefore = 0) => ({ type: "paragraph", text, blankLinesBefore });
+
+// Plain-text posts written before Markdown must render the same as they did
+
+test("keeps blank lines inside a plain-text paragraph", () => {
+  assert.deepEqual(parseMarkdown("first\n\n\nsecond\nthird"), [paragraph("first\n\n\nsecond\nthird")]);
+});
+
+test("drops blank lines around the post", () => {
+  assert.deepEqual(parseMarkdown("\n\nhello\n\n"), [paragraph("hello")]);
+});
+
+test("doesn't read numbers inside a paragraph as a list", () => {
+  assert.deepEqual(parseMarkdown("Born in\n1984. Good year"), [paragraph("Born in\n1984. Good year")]);
+});
+
+test("doesn't read numbers or signs without a following space as list items", () => {
+  assert.deepEqual(parseMarkdown("1.5 million\n-5 degrees\n*shrug*"), [
+    paragraph("1.5 million\n-5 degrees\n*shrug*"),
+  ]);
+});
+
+test("leaves snake_case and arithmetic as text", () => {
+  assert.deepEqual(parseInline("my_var_name and 5 * 3 * 2"), [
+    { type: "text", value: "my_var_name and 5 * 3 * 2" },
+  ]);
+});
+
+test("leaves raw HTML as text", () => {
+  assert.deepEqual(parseInline('<img src=x onerror="alert(1)">'), [
+    { type: "text", value: '<img src=x onerror="alert(1)">' },
+  ]);
+});
+
+test("doesn't link unsafe URLs", () => {
+  assert.deepEqual(parseInline("[click](javascript:alert(1))"), [
+    { type: "text", value: "[click](javascript:alert(1))" },
+  ]);
+});
+
+// Markdown
+
+test("counts the blank lines between blocks", () => {
+  assert.deepEqual(parseMarkdown("Shopping:\n\n\n- milk\n- eggs\n\nThanks"), [
+    paragraph("Shopping:"),
+    { type: "list", ordered: false, start: undefined, items: ["milk", "eggs"], blankLinesBefore: 2 },
+    paragraph("Thanks", 1),
+  ]);
+});
+
+test("starts an ordered list inside a paragraph only at 1", () => {
+  assert.deepEqual(parseMarkdown("Steps:\n1. mix\n2. bake"), [
+    paragraph("Steps:"),
+    { type: "list", ordered: true, start: 1, items: ["mix", "bake"], blankLinesBefore: 0 },
+  ]);
+});
+
+test("keeps fenced code verbatim", () => {
+  assert.deepEqual(parseMarkdown("```js\nconst a = *b*;\n```"), [
+    { type: "code", lang: "js", text: "const a = *b*;", blankLinesBefore: 0 },
+  ]);
+});
+
+test("parses emphasis, code and links", () => {
+  assert.deepEqual(parseInline("**bold** _it_ `x` [site](https://example.com)"), [
+    { type: "strong", children: [{ type: "text", value: "bold" }] },
+    { type: "text", value: " " },
+    { type: "em", children: [{ type: "text", value: "it" }] },
+    { type: "text", value: " " },
+    { type: "code", value: "x" },
+    { type: "text", value: " " },
+    { type: "link", href: "https://example.com/", children: [{ type: "text", value: "site" }] },
+  ]);
+});
+
+test("ignores links in code for the preview", () => {
+  assert.equal(getFirstLink("`https://a.example`\nhttps://b.example."), "https://b.example/");
+});
+
+test("takes tags only from text outside code and links", () => {
+  const content = "**#launch** `#define` [#docs](https://example.com)\n```\n#include\n```\n- #list";
+  assert.deepEqual(extractTags(getTaggableText(content)), ["launch", "list"]);
+});
@@ -0,0 +1,16 @@
+// Post media helpers. Gallery posts carry `media: [{ url, type, poster }]`;
+// older posts only have a single `imageUrl` or `videoUrl` (plus `posterUrl`).
+
+export const MAX_MEDIA_ITEMS = 10;
+
+export const mediaTypeOf = (file) => (file?.type?.startsWith("video/") ? "video" : "image");
+
+// All media on a post, in display order
+export const getPostMedia = (post) => {
+  if (Array.isArray(post?.media) && post.media.length > 0) return post.media;
+
+  const items = [];
+  if (post?.imageUrl) items.push({ url: post.imageUrl, type: "image" });
+  if (post?.videoUrl) items.push({ url: post.videoUrl, type: "video", poster: post.posterUrl || null });
+  return items;
+};
@@ -0,0 +1,25 @@
+export const ROLES = Object.freeze({
+  ADMIN: "admin",
+  MODERATOR: "moderator",
+});
+
+// Roles that also grant another role's permissions
+const IMPLIED_ROLES = {
+  [ROLES.ADMIN]: [ROLES.MODERATOR],
+};
+
+// Roles are set server-side as Firebase custom claims, e.g. { roles: ["moderator"] }
+export const rolesFromClaims = (claims) => {
+  const roles = Array.isArray(claims?.roles) ? claims.roles : [];
+  return roles.filter((role) => Object.values(ROLES).includes(role));
+};
+
+export const hasRole = (roles, role) =>
+  Boolean(roles?.some((held) => held === role || IMPLIED_ROLES[held]?.includes(role)));
+
+// Whether the given user authored a post or comment
+export const isAuthor = (item, user) => Boolean(user?.uid) && user.uid === item?.user?.uid;
+
+// Authors can delete their own posts; moderators can delete anyone's
+export const canDeletePost = (post, user, roles) =>
+  isAuthor(post, user) || (Boolean(user?.uid) && hasRole(roles, ROLES.MODERATOR));
@@ -0,0 +1,30 @@
+// Where to go after signing in, carried through /login as ?redirect=<path>
+
+export const REDIRECT_PARAM = "redirect";
+export const DEFAULT_REDIRECT = "/dashboard";
+
+// Path, query string and hash of a location (router or window)
+export const locationPath = (location) =>
+  `${location.pathname || "/"}${location.search || ""}${location.hash || ""}`;
+
+export const loginPath = (location) => {
+  const path = locationPath(location);
+  if (path === "/" || path.startsWith("/login")) return "/login";
+  return `/login?${REDIRECT_PARAM}=${encodeURIComponent(path)}`;
+};
+
+// Only same-origin paths are allowed back out; anything else ("//evil.com",
+// "https://evil.com", "/\evil.com", "javascript:...") falls back to the default
+export const safeRedirectPath = (value, fallback = DEFAULT_REDIRECT) => {
+  if (typeof value !== "string" || !/^\/(?![/\\\s])/.test(value)) return fallback;
+
+  try {
+    const url = new URL(value, window.location.origin);
+    if (url.origin !== window.location.origin) return fallback;
+
+    const path = locationPath(url);
+    return path.startsWith("/login") ? fallback : path;
+  } catch {
+    return fallback;
+  }
+};
@@ -0,0 +1,69 @@
+// #tags and @mentions in post text.
+//
+// A token starts at the beginning of the text or after a character that
+// can't be part of a word, URL or email, so "a@b.com" and "/page#top" stay plain.
+
+const WORD = "[\\p{L}\\p{N}_]";
+const TOKEN_PATTERN = new RegExp(`(^|[^\\p{L}\\p{N}_/&@#])([#@])(${WORD}+)`, "gu");
+const MENTION_QUERY_PATTERN = new RegExp(`(?:^|[^\\p{L}\\p{N}_/&@#])@(${WORD}*)$`, "u");
+
+// Tags are case-insensitive
+export const normalizeTag = (tag) => tag.toLowerCase();
+
+// Splits `text` into [{ type: "text" | "tag" | "mention", value }].
+// `value` is the tag or handle without its leading # or @.
+export const tokenizeContent = (text = "") => {
+  const tokens = [];
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    const [, lead, sigil, value] = match;
+    // "#2" is a number, not a tag
+    if (sigil === "#" && /^\d+$/.test(value)) continue;
+
+    const start = match.index + lead.length;
+    if (start > lastIndex) tokens.push({ type: "text", value: text.slice(lastIndex, start) });
+    tokens.push({ type: sigil === "#" ? "tag" : "mention", value });
+    lastIndex = start + sigil.length + value.length;
+  }
+
+  if (lastIndex < text.length) tokens.push({ type: "text", value: text.slice(lastIndex) });
+  return tokens;
+};
+
+// Unique, normalized tags in `text`
+export const extractTags = (text) => [
+  ...new Set(
+    tokenizeContent(text)
+      .filter((token) => token.type === "tag")
+      .map((token) => normalizeTag(token.value))
+  ),
+];
+
+export const extractMentionHandles = (text) =>
+  tokenizeContent(text)
+    .filter((token) => token.type === "mention")
+    .map((token) => token.value.toLowerCase());
+
+// The handle a user is mentioned by
+export const mentionHandle = (user) =>
+  (user?.username || user?.displayName || user?.name || "").replace(/[^\p{L}\p{N}_]/gu, "");
+
+// Mentions picked from autocomplete that are still in `text`
+export const mentionsInText = (text, mentions = []) => {
+  const handles = new Set(extractMentionHandles(text));
+  const seen = new Set();
+  return mentions.filter(({ handle }) => {
+    const key = handle.toLowerCase();
+    if (!handles.has(key) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// The "@partial" being typed just before `caret`, if any: { start, query }
+export const getMentionQuery = (text, caret) => {
+  const match = text.slice(0, caret).match(MENTION_QUERY_PATTERN);
+  if (!match) return null;
+  return { start: caret - match[1].length - 1, query: match[1] };
+};
@@ -0,0 +1,14 @@
+// Format time ago
+export const timeAgo = (dateString) => {
+  try {
+    const diff = (Date.now() - new Date(dateString)) / 1000;
+    if (diff < 60) return `${Math.floor(diff)}s ago`;
+    if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
+    if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`;
+    if (diff < 2592000) return `${Math.floor(diff / 86400)}d ago`;
+    return new Date(dateString).toLocaleDateString();
+  } catch (error) {
+    console.error("Error formatting date:", error);
+    return "Unknown";
+  }
+};
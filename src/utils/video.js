@@ -0,0 +1,106 @@
+// Local checks and poster frames for videos picked in the composer
+
+export const VIDEO_LIMITS = {
+  maxDuration: Number(import.meta.env.VITE_VIDEO_MAX_DURATION) || 180, // seconds
+  maxSizeMb: Number(import.meta.env.VITE_VIDEO_MAX_SIZE_MB) || 100,
+  maxDimension: Number(import.meta.env.VITE_VIDEO_MAX_DIMENSION) || 3840, // longest side, px
+};
+
+const POSTER_QUALITY = 0.85;
+
+export const formatDuration = (seconds) => {
+  const total = Math.round(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+};
+
+// Loads `file` into a detached <video>; resolves once `event` fires
+const loadVideo = (file, event = "loadedmetadata") =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = event === "loadedmetadata" ? "metadata" : "auto";
+
+    const release = () => {
+      video.removeAttribute("src");
+      video.load();
+      URL.revokeObjectURL(url);
+    };
+
+    video.addEventListener(event, () => resolve({ video, release }), { once: true });
+    video.addEventListener(
+      "error",
+      () => {
+        release();
+        reject(new Error("This video couldn't be read"));
+      },
+      { once: true }
+    );
+    video.src = url;
+  });
+
+// Resolves with { duration, width, height, size } read in the browser
+export const readVideoMetadata = async (file) => {
+  const { video, release } = await loadVideo(file);
+  const metadata = {
+    duration: video.duration,
+    width: video.videoWidth,
+    height: video.videoHeight,
+    size: file.size,
+  };
+  release();
+  return metadata;
+};
+
+// Returns a message describing why the video can't be posted, or null
+export const getVideoLimitError = (name, { duration, width, height, size }) => {
+  if (size > VIDEO_LIMITS.maxSizeMb * 1024 * 1024) {
+    return `"${name}" is ${(size / 1024 / 1024).toFixed(0)} MB. Videos can be up to ${VIDEO_LIMITS.maxSizeMb} MB.`;
+  }
+  if (Number.isFinite(duration) && duration > VIDEO_LIMITS.maxDuration) {
+    return `"${name}" is ${formatDuration(duration)} long. Videos can be up to ${formatDuration(VIDEO_LIMITS.maxDuration)}.`;
+  }
+  if (Math.max(width, height) > VIDEO_LIMITS.maxDimension) {
+    return `"${name}" is ${width}x${height}. Videos can be up to ${VIDEO_LIMITS.maxDimension}px on the longest side.`;
+  }
+  return null;
+};
+
+// Frame shown when no poster time was picked
+export const defaultPosterTime = (duration) =>
+  Number.isFinite(duration) ? Math.min(1, duration / 2) : 0;
+
+// Captures the frame at `time` (seconds) as a JPEG file
+export const captureVideoFrame = async (file, time) => {
+  const { video, release } = await loadVideo(file, "loadeddata");
+
+  try {
+    const target = time ?? defaultPosterTime(video.duration);
+    if (target > 0) {
+      await new Promise((resolve, reject) => {
+        video.addEventListener("seeked", resolve, { once: true });
+        video.addEventListener("error", () => reject(new Error("Couldn't seek video")), { once: true });
+        video.currentTime = Math.min(target, video.duration || target);
+      });
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (result) => (result ? resolve(result) : reject(new Error("Couldn't capture frame"))),
+        "image/jpeg",
+        POSTER_QUALITY
+      );
+    });
+
+    const name = file.name ? file.name.replace(/\.[^.]+$/, "") : "video";
+    return new File([blob], `${name}-poster.jpg`, { type: "image/jpeg", lastModified: Date.now() });
+  } finally {
+    release();
+  }
+};